@@ -24,8 +24,22 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use(`${API_PREFIX}/auth`, require('./routes/auth.routes'));
 app.use(`${API_PREFIX}/assets`, require('./routes/asset.routes'));
+app.use(`${API_PREFIX}/directory`, require('./routes/directory.routes'));
+app.use(`${API_PREFIX}/maintenance`, require('./routes/maintenance.routes'));
+app.use(`${API_PREFIX}/disposals`, require('./routes/disposal.routes'));
+app.use(`${API_PREFIX}/transfers`, require('./routes/transfer.routes'));
+app.use(`${API_PREFIX}/stock-takes`, require('./routes/stockTake.routes'));
+app.use(`${API_PREFIX}/audit`, require('./routes/audit.routes'));
+app.use(`${API_PREFIX}/serial-formats`, require('./routes/serial.routes'));
+app.use(`${API_PREFIX}/views`, require('./routes/view.routes'));
+app.use(`${API_PREFIX}/custom-fields`, require('./routes/customField.routes'));
+app.use(`${API_PREFIX}/webhooks`, require('./routes/webhook.routes'));
+app.use(`${API_PREFIX}/notifications`, require('./routes/notification.routes'));
 app.use(`${API_PREFIX}/health`, require('./routes/health.routes'));
 
+// Short lookup for scanned asset labels
+app.use('/s', require('./routes/scan.routes'));
+
 // Root
 app.get('/', (req, res) => res.json({ message: 'IT Asset Management API', version: '1.0.0' }));
 
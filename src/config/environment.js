@@ -1,9 +1,61 @@
 require('dotenv').config();
 
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+// Signing secrets have development fallbacks only: a production server refuses to start without them
+const secret = (name, fallback) => {
+  if (process.env[name]) return process.env[name];
+  if (NODE_ENV === 'production') throw new Error(`${name} must be set in production`);
+  return fallback;
+};
+
 module.exports = {
-  NODE_ENV: process.env.NODE_ENV || 'development',
+  NODE_ENV,
   PORT: process.env.PORT || 5000,
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/it_assets_db',
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  API_PREFIX: process.env.API_PREFIX || '/api/v1'
+  API_PREFIX: process.env.API_PREFIX || '/api/v1',
+
+  // JWT
+  JWT_ACCESS_SECRET: secret('JWT_ACCESS_SECRET', 'dev-access-secret-change-me'),
+  JWT_ACCESS_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  JWT_REFRESH_SECRET: secret('JWT_REFRESH_SECRET', 'dev-refresh-secret-change-me'),
+  JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+
+  // Days soft-deleted assets stay in the trash before automatic purge (0 disables)
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS ?? 30, 10),
+
+  // Minutes a serial number from /assets/generate-serial stays reserved for its requester
+  SERIAL_RESERVATION_MINUTES: parseInt(process.env.SERIAL_RESERVATION_MINUTES ?? 15, 10),
+
+  // Depreciation defaults for assets that don't set their own currency / useful life
+  DEFAULT_CURRENCY: (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase(),
+  DEFAULT_USEFUL_LIFE_YEARS: parseFloat(process.env.DEFAULT_USEFUL_LIFE_YEARS ?? 5),
+
+  // Rows an xlsx download may hold: the workbook is built in memory, csv downloads stream and have no limit
+  XLSX_MAX_ROWS: parseInt(process.env.XLSX_MAX_ROWS ?? 50000, 10),
+
+  // Public base URL of this server; asset QR labels encode <LABEL_BASE_URL>/s/<serialNumber>
+  LABEL_BASE_URL: (process.env.LABEL_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, ''),
+
+  // Webhook deliveries: per-attempt timeout and attempts before a delivery is given up
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? 10000, 10),
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6, 10),
+
+  // Outgoing email. The defaults point at a local SMTP sink (e.g. Mailpit or MailHog on port 1025);
+  // MAIL_ENABLED=false stops all notification email
+  MAIL_ENABLED: process.env.MAIL_ENABLED !== 'false',
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT ?? 1025, 10),
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+  SMTP_USER: process.env.SMTP_USER || '',
+  SMTP_PASS: process.env.SMTP_PASS || '',
+  MAIL_FROM: process.env.MAIL_FROM || 'IT Assets <it-assets@localhost>',
+
+  // Weekly digest: sent on DIGEST_DAY (0 = Sunday ... 6 = Saturday) from DIGEST_HOUR (server time).
+  // It lists maintenance open longer than MAINTENANCE_OVERDUE_DAYS and warranties ending within DIGEST_WARRANTY_DAYS
+  DIGEST_DAY: parseInt(process.env.DIGEST_DAY ?? 1, 10),
+  DIGEST_HOUR: parseInt(process.env.DIGEST_HOUR ?? 8, 10),
+  MAINTENANCE_OVERDUE_DAYS: parseInt(process.env.MAINTENANCE_OVERDUE_DAYS ?? 14, 10),
+  DIGEST_WARRANTY_DAYS: parseInt(process.env.DIGEST_WARRANTY_DAYS ?? 30, 10)
 };
@@ -0,0 +1,34 @@
+// Role -> allowed actions. ":any" actions apply to every asset, ":own" only to assets the user created.
+const ROLE_PERMISSIONS = {
+  admin: [
+    'asset:read:any', 'asset:create', 'asset:update:any', 'asset:delete', 'asset:purge',
+    'asset:assign', 'asset:import', 'asset:export', 'audit:read', 'directory:manage', 'maintenance:manage',
+    'serial:manage', 'user:create:admin', 'user:create:manager', 'view:manage:any',
+    'customField:manage', 'disposal:approve', 'stockTake:manage', 'transfer:approve', 'webhook:manage',
+    'notification:manage', 'asset:relocate'
+  ],
+  manager: [
+    'asset:read:any', 'asset:create', 'asset:update:any', 'asset:delete',
+    'asset:assign', 'asset:import', 'asset:export', 'directory:manage', 'maintenance:manage', 'disposal:approve',
+    'stockTake:manage', 'transfer:approve'
+  ],
+  user: [
+    'asset:read:own', 'asset:create', 'asset:update:own'
+  ]
+};
+
+// Check whether a user's role grants an action
+const can = (user, action) => Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(action));
+
+// Check whether a user may perform verb (read/update) on a specific asset
+const canAccessAsset = (user, verb, asset) => {
+  if (can(user, `asset:${verb}:any`)) return true;
+  const ownerId = asset.createdBy?._id || asset.createdBy;
+  return can(user, `asset:${verb}:own`) && String(ownerId) === String(user._id);
+};
+
+// Query filter restricting a listing to the assets a user may see
+const assetScope = (user, verb = 'read') =>
+  can(user, `asset:${verb}:any`) ? {} : { createdBy: user._id };
+
+module.exports = { ROLE_PERMISSIONS, can, canAccessAsset, assetScope };
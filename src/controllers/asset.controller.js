@@ -1,172 +1,157 @@
 const Asset = require('../models/Asset.model');
-const XLSX = require('xlsx');
+const AuditLog = require('../models/AuditLog.model');
+const ApiError = require('../utils/ApiError');
+const { can, canAccessAsset, assetScope } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const directory = require('../services/directory.service');
+const trash = require('../services/trash.service');
+const exporter = require('../services/export.service');
+const serials = require('../services/serial.service');
+const lifecycle = require('../services/lifecycle.service');
+const depreciation = require('../services/depreciation.service');
+const search = require('../services/search.service');
+const views = require('../services/view.service');
+const customFields = require('../services/customField.service');
+const transfers = require('../services/transfer.service');
+const webhooks = require('../services/webhook.service');
+const notifications = require('../services/notification.service');
+const {
+  editableFields, disposalViolation, applyAssetUpdate, buildAssetQuery, aggregateMatch,
+  parseSort, parseFields, encodeCursor, decodeCursor, cursorClause
+} = require('../services/asset.service');
+const { EXPORT_COLUMNS } = require('../utils/assetColumns');
 
 // Helper: Send JSON response
 const send = (res, status, data, message) => {
   res.status(status).json({ success: status < 400, data, message });
 };
 
-// Helper: Get company prefix for serial number
-const getCompanyPrefix = (companyName) => {
-  if (!companyName || companyName === 'NA') return 'AST'; // Default prefix
-  
-  const name = companyName.toLowerCase().trim();
-  
-  // Predefined company prefixes
-  const prefixMap = {
-    'omtrans': 'OMT',
-    'om trans': 'OMT',
-    'tgl': 'TGL',
-    'omtrax': 'OMX',
-    'om trax': 'OMX'
+// Helper: Enhanced pagination info for frontend. Without a total (count=false), hasMore says
+// whether another page exists and the total fields are null.
+const paginationInfo = (currentPage, pageLimit, total, itemsOnPage, hasMore) => {
+  const totalPages = total == null ? null : Math.ceil(total / pageLimit);
+  const hasNextPage = total == null ? Boolean(hasMore) : currentPage < totalPages;
+  return {
+    currentPage,
+    totalPages,
+    totalItems: total,
+    itemsPerPage: pageLimit,
+    itemsOnPage,
+    hasNextPage,
+    hasPrevPage: currentPage > 1,
+    nextPage: hasNextPage ? currentPage + 1 : null,
+    prevPage: currentPage > 1 ? currentPage - 1 : null
   };
-  
-  // Check exact match first
-  if (prefixMap[name]) return prefixMap[name];
-  
-  // Check partial match
-  for (const [key, prefix] of Object.entries(prefixMap)) {
-    if (name.includes(key)) return prefix;
-  }
-  
-  // Generate prefix from first 3 letters of company name (uppercase)
-  return companyName.replace(/[^a-zA-Z]/g, '').substring(0, 3).toUpperCase() || 'AST';
 };
 
-// Helper: Get current date string in DDMMYYYY format
-const getDateString = () => {
-  const now = new Date();
-  const day = String(now.getDate()).padStart(2, '0');
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const year = now.getFullYear();
-  return `${day}${month}${year}`;
-};
+// Helper: Paginated asset listing (active assets or trash). Page numbers by default; passing
+// `cursor` (empty for the first page) switches to cursor pagination. count=false skips the total.
+const listAssets = async (query, user, { deleted = false, defaultSort = 'createdAt' } = {}) => {
+  const { page = 1, limit = 20, sortBy, order = 'desc', cursor, fields, count, ...params } = query;
 
-// Helper: Get the next sequence number for a given prefix+date pattern
-const getNextSequenceNumber = async (prefix, dateStr) => {
-  const basePattern = `${prefix}-${dateStr}-`;
-  
-  // Find the highest existing serial number with this prefix and date
-  const latestAsset = await Asset.findOne({
-    serialNumber: { $regex: `^${basePattern}\\d{3}$`, $options: 'i' }
-  })
-    .sort({ serialNumber: -1 })
-    .select('serialNumber')
-    .lean();
-  
-  let nextSeq = 1;
-  
-  if (latestAsset && latestAsset.serialNumber) {
-    // Extract the sequence number from the last serial
-    const match = latestAsset.serialNumber.match(/(\d{3})$/);
-    if (match) {
-      nextSeq = parseInt(match[1], 10) + 1;
-    }
-  }
-  
-  return nextSeq;
-};
+  const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20)); // Max 100 per page
+  const useCursor = cursor !== undefined;
+  const withCount = count !== 'false';
+  const sorting = parseSort(sortBy || defaultSort, order);
+  const selected = parseFields(fields);
+
+  const filter = await buildAssetQuery(params, user, { deleted });
+
+  // Searches are ranked by relevance unless a sort is requested (cursors always need a field sort)
+  const ranked = !sortBy && !useCursor && search.hasTextSearch(filter);
+  const sort = ranked ? { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 } : sorting.sort;
+
+  // The sort field is fetched even when not selected, to build the next cursor
+  const projection = {
+    ...(selected && Object.fromEntries([...selected, sorting.field].map(f => [f, 1]))),
+    ...(ranked && { score: { $meta: 'textScore' } })
+  };
 
-// Helper: Generate sequential serial number in format PREFIX-DDMMYYYY-XXX
-// offset parameter is used for batch processing to avoid duplicates
-const generateSerialNumber = async (companyName, offset = 0) => {
-  const prefix = getCompanyPrefix(companyName);
-  const dateStr = getDateString();
-  
-  const nextSeq = await getNextSequenceNumber(prefix, dateStr);
-  const seqStr = String(nextSeq + offset).padStart(3, '0');
-  
-  return `${prefix}-${dateStr}-${seqStr}`;
+  const after = useCursor && cursor ? decodeCursor(cursor, sorting) : null;
+  const pageFilter = after ? { ...filter, $and: [...(filter.$and || []), cursorClause(after, sorting)] } : filter;
+  const currentPage = Math.max(1, parseInt(page) || 1);
+
+  // One extra row tells whether another page exists without counting
+  const [rows, total] = await Promise.all([
+    Asset.find(pageFilter, projection)
+      .sort(sort)
+      .skip(useCursor ? 0 : (currentPage - 1) * pageLimit)
+      .limit(pageLimit + 1)
+      .populate(deleted ? 'createdBy deletedBy' : 'createdBy', 'username name')
+      .lean(),
+    withCount ? Asset.countDocuments(filter) : null
+  ]);
+
+  const hasMore = rows.length > pageLimit;
+  const assets = rows.slice(0, pageLimit);
+  const nextCursor = hasMore ? encodeCursor(assets[assets.length - 1], sorting) : null;
+  if (selected && !selected.includes(sorting.field)) assets.forEach(a => delete a[sorting.field]);
+
+  const pagination = useCursor
+    ? { itemsPerPage: pageLimit, itemsOnPage: assets.length, hasNextPage: hasMore, nextCursor, totalItems: total }
+    : paginationInfo(currentPage, pageLimit, total, assets.length, hasMore);
+  return { assets, pagination };
 };
 
-// GET /assets - List all assets with pagination, filters, search
+// GET /assets - List all assets with pagination, filters, search (viewId applies a saved view)
 exports.getAllAssets = async (req, res, next) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      sortBy = 'createdAt', 
-      order = 'desc', 
-      search,
-      // Date range filters
-      dateFrom,
-      dateTo,
-      // Multiple value filters (comma-separated)
-      ...filters 
-    } = req.query;
-    
-    const currentPage = Math.max(1, parseInt(page));
-    const pageLimit = Math.max(1, Math.min(100, parseInt(limit))); // Max 100 per page
-    const skip = (currentPage - 1) * pageLimit;
+    const { params, view } = await views.applyView(req.query, req.user);
+    const { columns, ...query } = params;
+    const list = await listAssets(query, req.user);
+    send(res, 200, {
+      ...list,
+      ...(view && { view: { _id: view._id, name: view.name, columns: view.columns } })
+    }, 'Assets retrieved');
+  } catch (err) { next(err); }
+};
 
-    // Build filter query
-    const query = { isDeleted: false };
-    
-    // Exact match filters (support comma-separated multiple values)
-    ['companyName', 'branch', 'department', 'status', 'device', 'brand', 'operatingSystem'].forEach(f => {
-      if (filters[f]) {
-        const values = filters[f].split(',').map(v => v.trim()).filter(Boolean);
-        query[f] = values.length > 1 ? { $in: values } : values[0];
-      }
-    });
-    
-    // Partial match filters (case-insensitive)
-    if (filters.userName) query.userName = new RegExp(filters.userName, 'i');
-    if (filters.serialNumber) query.serialNumber = new RegExp(filters.serialNumber, 'i');
-    if (filters.deviceSerialNo) query.deviceSerialNo = new RegExp(filters.deviceSerialNo, 'i');
-    
-    // Date range filter for dateOfPurchase
-    if (dateFrom || dateTo) {
-      query.dateOfPurchase = {};
-      if (dateFrom) query.dateOfPurchase.$gte = new Date(dateFrom);
-      if (dateTo) query.dateOfPurchase.$lte = new Date(dateTo);
-    }
-    
-    // Created by filter
-    if (filters.createdBy) query.createdBy = filters.createdBy;
-    
-    // Global search across multiple fields
-    if (search) {
-      const regex = new RegExp(search, 'i');
-      query.$or = [
-        { serialNumber: regex },
-        { userName: regex },
-        { deviceSerialNo: regex },
-        { brand: regex },
-        { companyName: regex },
-        { branch: regex },
-        { department: regex },
-        { remark: regex }
-      ];
-    }
+// GET /assets/trash - List soft-deleted assets (same filters/pagination as GET /assets)
+exports.getTrash = async (req, res, next) => {
+  try {
+    send(res, 200, await listAssets(req.query, req.user, { deleted: true, defaultSort: 'deletedAt' }), 'Trash retrieved');
+  } catch (err) { next(err); }
+};
 
-    // Execute queries in parallel
-    const [assets, total] = await Promise.all([
-      Asset.find(query)
-        .sort({ [sortBy]: order === 'asc' ? 1 : -1 })
-        .skip(skip)
-        .limit(pageLimit)
-        .populate('createdBy', 'username name')
-        .lean(),
-      Asset.countDocuments(query)
+// GET /assets/expiring - Assets whose warranty, AMC or end of life falls within a window
+// (within=30d|6w|3m|1y, type=warranty,amc,endOfLife, includeExpired, plus list filters)
+exports.getExpiringAssets = async (req, res, next) => {
+  try {
+    const { within, type, includeExpired, page = 1, limit = 20, ...params } = req.query;
+    const types = lifecycle.parseTypes(type);
+    const now = new Date();
+    const to = new Date(now.getTime() + lifecycle.parseWithin(within) * lifecycle.DAY_MS);
+    const from = includeExpired === 'true' ? new Date(0) : now;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+    // Disposed and lost assets need no renewal unless a status is asked for explicitly
+    const query = await buildAssetQuery(params, req.user);
+    if (!params.status) query.status = { $nin: lifecycle.RETIRED_STATUSES };
+
+    const [result] = await Asset.aggregate([
+      aggregateMatch(query),
+      ...lifecycle.expiringStages(types, from, to),
+      {
+        $facet: {
+          assets: [{ $sort: { nextExpiry: 1, _id: 1 } }, { $skip: (currentPage - 1) * pageLimit }, { $limit: pageLimit }],
+          total: [{ $count: 'count' }]
+        }
+      }
     ]);
 
-    const totalPages = Math.ceil(total / pageLimit);
-    
-    // Enhanced pagination info for frontend
-    const pagination = {
-      currentPage,
-      totalPages,
-      totalItems: total,
-      itemsPerPage: pageLimit,
-      itemsOnPage: assets.length,
-      hasNextPage: currentPage < totalPages,
-      hasPrevPage: currentPage > 1,
-      nextPage: currentPage < totalPages ? currentPage + 1 : null,
-      prevPage: currentPage > 1 ? currentPage - 1 : null
-    };
-
-    send(res, 200, { assets, pagination }, 'Assets retrieved');
+    const assets = result.assets.map(a => ({ ...a, expiring: lifecycle.withDaysLeft(a.expiring, now) }));
+    const total = result.total[0]?.count || 0;
+    send(res, 200, { assets, pagination: paginationInfo(currentPage, pageLimit, total, assets.length) }, 'Expiring assets retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/search/suggest?q=&limit= - Autocomplete values for the search box
+exports.suggestAssets = async (req, res, next) => {
+  try {
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 8));
+    send(res, 200, await search.suggest(req.query.q, req.user, limit), 'Suggestions retrieved');
   } catch (err) { next(err); }
 };
 
@@ -175,6 +160,7 @@ exports.getAssetById = async (req, res, next) => {
   try {
     const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false }).lean();
     if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
     send(res, 200, asset, 'Asset retrieved');
   } catch (err) { next(err); }
 };
@@ -184,6 +170,7 @@ exports.getAssetBySerialNumber = async (req, res, next) => {
   try {
     const asset = await Asset.findOne({ serialNumber: req.params.serialNumber.toUpperCase(), isDeleted: false }).lean();
     if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
     send(res, 200, asset, 'Asset retrieved');
   } catch (err) { next(err); }
 };
@@ -191,19 +178,24 @@ exports.getAssetBySerialNumber = async (req, res, next) => {
 // POST /assets - Create new asset
 exports.createAsset = async (req, res, next) => {
   try {
-    const { serialNumber, createdBy } = req.body;
-    
-    // Validate createdBy is provided
-    if (!createdBy) {
-      return send(res, 400, null, 'createdBy (user ID) is required');
-    }
-    
-    // Check duplicate
+    const { serialNumber } = req.body;
+    const disposal = disposalViolation(null, req.body);
+    if (disposal) return send(res, 400, null, disposal);
+
+    // Check duplicate, and that nobody else holds the number from /generate-serial
     if (await Asset.exists({ serialNumber: serialNumber.toUpperCase() })) {
       return send(res, 409, null, 'Asset with this serial number already exists');
     }
+    await serials.assertNotReservedByOther(serialNumber, req.user);
 
-    const asset = await Asset.create(req.body);
+    // createdBy always comes from the authenticated user, never the client
+    const data = { ...req.body, createdBy: req.user._id };
+    directory.applyDirectory(await directory.loadResolver(), data, { exact: true });
+
+    const asset = await Asset.create(data);
+    await serials.releaseReservations([asset.serialNumber]);
+    await audit.record(asset, 'create', req.user);
+    webhooks.emit('asset.created', asset);
     send(res, 201, asset, 'Asset created');
   } catch (err) { next(err); }
 };
@@ -213,6 +205,7 @@ exports.updateAsset = async (req, res, next) => {
   try {
     const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false });
     if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'update', asset)) throw ApiError.forbidden();
 
     // Check serial number duplicate if updating
     if (req.body.serialNumber && req.body.serialNumber.toUpperCase() !== asset.serialNumber) {
@@ -221,8 +214,24 @@ exports.updateAsset = async (req, res, next) => {
       }
     }
 
-    Object.assign(asset, req.body);
-    await asset.save();
+    const updates = editableFields(req.body);
+    const disposal = disposalViolation(asset, updates);
+    if (disposal) return send(res, 400, null, disposal);
+    if (directory.touchesDirectory(updates)) {
+      directory.applyDirectory(await directory.loadResolver(), updates, { companyId: asset.companyId, exact: true });
+    }
+    if (transfers.movesLocation(asset, updates)) {
+      const relocation = transfers.locationViolation(asset, updates, {
+        canRelocate: can(req.user, 'asset:relocate'),
+        inTransfer: (await transfers.assetsInTransfer([asset._id])).size > 0
+      });
+      if (relocation) return send(res, 400, null, relocation);
+    }
+
+    const changes = await applyAssetUpdate(asset, updates, req.user);
+    webhooks.emitChanges(asset, changes, 'asset update');
+    const lost = notifications.lostChange(changes);
+    if (lost) notifications.alertLost([{ asset, previousStatus: lost.before }], req.user, { source: 'asset update' });
     send(res, 200, asset, 'Asset updated');
   } catch (err) { next(err); }
 };
@@ -232,360 +241,320 @@ exports.deleteAsset = async (req, res, next) => {
   try {
     const result = await Asset.findOneAndUpdate(
       { _id: req.params.id, isDeleted: false },
-      { isDeleted: true },
+      { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id },
       { new: true }
     );
     if (!result) return send(res, 404, null, 'Asset not found');
+    await audit.record(result, 'delete', req.user, { changes: [{ field: 'isDeleted', before: false, after: true }] });
+    webhooks.emit('asset.deleted', result, { permanent: false });
     send(res, 200, null, 'Asset deleted');
   } catch (err) { next(err); }
 };
 
-// DELETE /assets/:id/permanent - Hard delete
-exports.permanentDeleteAsset = async (req, res, next) => {
+// POST /assets/:id/restore - Restore a soft-deleted asset
+exports.restoreAsset = async (req, res, next) => {
   try {
-    const result = await Asset.findByIdAndDelete(req.params.id);
-    if (!result) return send(res, 404, null, 'Asset not found');
-    send(res, 200, null, 'Asset permanently deleted');
+    const { restored } = await trash.restore([req.params.id], req.user);
+    if (!restored.length) return send(res, 404, null, 'Asset not found in trash');
+    send(res, 200, restored[0], 'Asset restored');
   } catch (err) { next(err); }
 };
 
-// GET /assets/stats/overview - Get statistics
-exports.getAssetStats = async (req, res, next) => {
+// POST /assets/trash/restore - Bulk restore soft-deleted assets
+exports.bulkRestoreAssets = async (req, res, next) => {
   try {
-    const matchActive = { $match: { isDeleted: false } };
-    
-    // Run all aggregations in parallel for better performance
-    const [overview, byDevice, byCompany, byDepartment] = await Promise.all([
-      Asset.aggregate([
-        matchActive,
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            active: { $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] } },
-            inactive: { $sum: { $cond: [{ $eq: ['$status', 'Inactive'] }, 1, 0] } },
-            maintenance: { $sum: { $cond: [{ $eq: ['$status', 'Under Maintenance'] }, 1, 0] } }
-          }
-        }
-      ]),
-      Asset.aggregate([matchActive, { $group: { _id: '$device', count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
-      Asset.aggregate([matchActive, { $group: { _id: '$company', count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
-      Asset.aggregate([matchActive, { $group: { _id: '$department', count: { $sum: 1 } } }, { $sort: { count: -1 } }])
-    ]);
-
+    const { restored, failed } = await trash.restore(req.body.ids, req.user);
     send(res, 200, {
-      overview: overview[0] || { total: 0, active: 0, inactive: 0, maintenance: 0 },
-      byDevice,
-      byCompany,
-      byDepartment
-    }, 'Statistics retrieved');
+      restored: restored.length,
+      failed: failed.length,
+      assets: restored,
+      errors: failed
+    }, `${restored.length} assets restored, ${failed.length} failed`);
   } catch (err) { next(err); }
 };
 
-// POST /assets/bulk - Bulk create assets from JSON
-exports.bulkCreateAssets = async (req, res, next) => {
+// POST /assets/trash/purge - Permanently delete trashed assets
+exports.bulkPurgeAssets = async (req, res, next) => {
   try {
-    const { assets, createdBy } = req.body;
-    if (!Array.isArray(assets) || !assets.length) {
-      return send(res, 400, null, 'Provide an array of assets');
-    }
-    if (assets.length > 1000) {
-      return send(res, 400, null, 'Maximum 1000 assets allowed per batch');
-    }
-    if (!createdBy) {
-      return send(res, 400, null, 'createdBy (user ID) is required');
-    }
-
-    // Add createdBy to each asset
-    const assetsWithCreator = assets.map(asset => ({ ...asset, createdBy }));
-
-    // Use insertMany with ordered: false for better performance
-    const result = await Asset.insertMany(assetsWithCreator, { ordered: false }).catch(err => {
-      if (err.insertedDocs) return { inserted: err.insertedDocs, errors: err.writeErrors };
-      throw err;
-    });
+    const purged = await trash.purge({ _id: { $in: req.body.ids } }, req.user);
+    send(res, 200, { purged, notInTrash: req.body.ids.length - purged }, `${purged} assets permanently deleted`);
+  } catch (err) { next(err); }
+};
 
-    const inserted = Array.isArray(result) ? result : result.inserted || [];
-    const errors = result.errors || [];
-    
-    send(res, 201, { 
-      created: inserted.length, 
-      failed: errors.length,
-      assets: inserted,
-      errors: errors.map(e => ({ index: e.index, message: e.errmsg || e.message }))
-    }, `${inserted.length} assets created, ${errors.length} failed`);
+// DELETE /assets/:id/permanent - Hard delete
+exports.permanentDeleteAsset = async (req, res, next) => {
+  try {
+    const result = await Asset.findByIdAndDelete(req.params.id).lean();
+    if (!result) return send(res, 404, null, 'Asset not found');
+    await audit.record(result, 'purge', req.user, { meta: { snapshot: result } });
+    if (!result.isDeleted) webhooks.emit('asset.deleted', result, { permanent: true }); // trashed ones were announced already
+    send(res, 200, null, 'Asset permanently deleted');
   } catch (err) { next(err); }
 };
 
-// POST /assets/upload-excel - Bulk upload from Excel file
-exports.uploadExcel = async (req, res, next) => {
+// GET /assets/:id/history - Audit trail for one asset (includes deleted/purged assets)
+exports.getAssetHistory = async (req, res, next) => {
   try {
-    if (!req.file) {
-      return send(res, 400, null, 'Please upload an Excel file');
-    }
-    
-    const { createdBy } = req.body;
-    if (!createdBy) {
-      return send(res, 400, null, 'createdBy (user ID) is required');
+    const asset = await Asset.findById(req.params.id).select('createdBy').lean();
+    if (asset ? !canAccessAsset(req.user, 'read', asset) : !can(req.user, 'audit:read')) {
+      throw ApiError.forbidden();
     }
 
-    // Parse Excel file from buffer
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const rawData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+    const history = await AuditLog.find({ asset: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('performedBy', 'username name')
+      .lean();
+    if (!asset && !history.length) return send(res, 404, null, 'Asset not found');
 
-    if (!rawData.length) {
-      return send(res, 400, null, 'Excel file is empty');
-    }
+    send(res, 200, history, 'Asset history retrieved');
+  } catch (err) { next(err); }
+};
+
+// Max assets a filter-based bulk operation may touch
+const BULK_LIMIT = 5000;
+
+// Helper: Load the assets targeted by a bulk request ({ ids } or { filter }), reporting unknown ids
+const findBulkTargets = async ({ ids, filter }, user) => {
+  if (ids) {
+    const assets = await Asset.find({ _id: { $in: ids }, isDeleted: false });
+    const found = new Set(assets.map(a => String(a._id)));
+    return { assets, missing: ids.filter(id => !found.has(String(id))) };
+  }
+
+  // Filter values arrive as JSON; normalize to the comma-separated strings query params use
+  const params = Object.fromEntries(Object.entries(filter)
+    .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)]));
+  const query = await buildAssetQuery(params, user);
+  const count = await Asset.countDocuments(query);
+  if (count > BULK_LIMIT) {
+    throw ApiError.badRequest(`Filter matches ${count} assets; narrow it down to at most ${BULK_LIMIT}`);
+  }
+  return { assets: await Asset.find(query), missing: [] };
+};
 
-    if (rawData.length > 5000) {
-      return send(res, 400, null, 'Maximum 5000 records allowed per file');
+// Helper: Summarize per-asset bulk results
+const summarize = (results) => results.reduce((acc, r) => ({ ...acc, [r.result]: (acc[r.result] || 0) + 1 }), {});
+
+// POST /assets/bulk/update - Apply a partial update (or status change) to many assets
+exports.bulkUpdateAssets = async (req, res, next) => {
+  try {
+    const { dryRun = false } = req.body;
+    const { assets, missing } = await findBulkTargets(req.body, req.user);
+
+    const updates = editableFields(req.body.update);
+    if (directory.touchesDirectory(updates)) {
+      directory.applyDirectory(await directory.loadResolver(), updates, { exact: true });
     }
 
-    // Map Excel columns to schema fields (flexible column mapping - case insensitive)
-    const columnMap = {
-      // Serial Number variations (optional - frontend will add if missing)
-      'serialnumber': 'serialNumber', 'serial number': 'serialNumber', 'serial_number': 'serialNumber', 
-      'sn': 'serialNumber', 'sr no': 'serialNumber', 'sr.no': 'serialNumber', 'sr. no': 'serialNumber',
-      'srno': 'serialNumber', 'sl no': 'serialNumber', 'sl.no': 'serialNumber', 'slno': 'serialNumber',
-      'asset id': 'serialNumber', 'assetid': 'serialNumber', 'asset_id': 'serialNumber',
-      
-      // Company Name variations
-      'companyname': 'companyName', 'company name': 'companyName', 'company': 'companyName',
-      'organization': 'companyName', 'org': 'companyName', 'firm': 'companyName',
-      
-      // Branch variations
-      'branch': 'branch', 'location': 'branch', 'site': 'branch', 'office': 'branch',
-      
-      // Department variations
-      'department': 'department', 'dept': 'department', 'division': 'department', 'team': 'department',
-      
-      // User Name variations
-      'username': 'userName', 'user name': 'userName', 'user': 'userName', 'name': 'userName',
-      'employee': 'userName', 'employee name': 'userName', 'employeename': 'userName',
-      'assigned to': 'userName', 'assignedto': 'userName', 'assigned': 'userName',
-      
-      // Brand variations
-      'brand': 'brand', 'make': 'brand', 'manufacturer': 'brand', 'vendor': 'brand',
-      
-      // Device type variations
-      'device': 'device', 'device type': 'device', 'devicetype': 'device', 'type': 'device',
-      'asset type': 'device', 'assettype': 'device', 'equipment': 'device', 'category': 'device',
-      
-      // Device Serial No variations
-      'deviceserialno': 'deviceSerialNo', 'device serial no': 'deviceSerialNo', 'device serial': 'deviceSerialNo', 
-      'device_serial': 'deviceSerialNo', 'device serial number': 'deviceSerialNo', 'deviceserialnumber': 'deviceSerialNo',
-      'equipment serial': 'deviceSerialNo', 'equipment serial no': 'deviceSerialNo', 
-      'asset serial': 'deviceSerialNo', 'asset serial no': 'deviceSerialNo',
-      'serial no': 'deviceSerialNo', 'serialno': 'deviceSerialNo', 'product serial': 'deviceSerialNo',
-      'device s.no': 'deviceSerialNo', 'device sno': 'deviceSerialNo',
-      
-      // Operating System variations
-      'operatingsystem': 'operatingSystem', 'operating system': 'operatingSystem', 'os': 'operatingSystem',
-      
-      // Date of Purchase variations
-      'dateofpurchase': 'dateOfPurchase', 'date of purchase': 'dateOfPurchase', 'purchase date': 'dateOfPurchase', 
-      'purchasedate': 'dateOfPurchase', 'purchase_date': 'dateOfPurchase', 'purchased on': 'dateOfPurchase',
-      'date': 'dateOfPurchase', 'bought on': 'dateOfPurchase', 'acquisition date': 'dateOfPurchase',
-      'purchase': 'dateOfPurchase',
-      
-      // Remark variations
-      'remark': 'remark', 'remarks': 'remark', 'notes': 'remark', 'comment': 'remark', 'comments': 'remark',
-      'description': 'remark',
-      
-      // Status variations
-      'status': 'status', 'state': 'status', 'condition': 'status'
-    };
-
-    // Transform Excel data to match schema
-    const assets = rawData.map((row, index) => {
-      const asset = { createdBy };
-      
-      Object.keys(row).forEach(key => {
-        const normalizedKey = key.toLowerCase().trim();
-        const schemaField = columnMap[normalizedKey];
-        
-        if (schemaField) {
-          let value = row[key];
-          
-          // Handle date conversion
-          if (schemaField === 'dateOfPurchase' && value) {
-            if (value instanceof Date) {
-              asset[schemaField] = value;
-            } else {
-              const parsed = new Date(value);
-              asset[schemaField] = isNaN(parsed.getTime()) ? null : parsed;
-            }
-          } else {
-            asset[schemaField] = typeof value === 'string' ? value.trim() : value;
-          }
-        }
-      });
-      
-      // Set default values for blank/empty fields - use "NA" for missing text fields
-      const textFields = ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo', 'operatingSystem', 'remark'];
-      textFields.forEach(field => {
-        if (!asset[field] || asset[field] === '') {
-          asset[field] = 'NA';
-        }
-      });
-      
-      // Handle device field - map to valid enum or default to 'Other'
-      const validDevices = ['Desktop', 'Laptop', 'Tablet', 'Monitor', 'Printer', 'Scanner', 'Server', 'Network Device', 'Other', 'NA'];
-      if (asset.device) {
-        // Try to match device type (case-insensitive)
-        const matchedDevice = validDevices.find(d => d.toLowerCase() === asset.device.toLowerCase());
-        asset.device = matchedDevice || 'Other';
-      } else {
-        asset.device = 'Other';
-      }
-      
-      // Set default status if not provided
-      if (!asset.status || asset.status === '') {
-        asset.status = 'Active';
+    const inTransfer = await transfers.assetsInTransfer(assets.filter(a => transfers.movesLocation(a, updates)).map(a => a._id));
+    const canRelocate = can(req.user, 'asset:relocate');
+    // A device change re-checks each asset's stored custom values against the new type, as PUT does
+    const definitions = updates.device && await customFields.definitionsFor(updates.device);
+
+    const results = missing.map(id => ({ id, result: 'failed', message: 'Asset not found' }));
+    const lost = [];
+    for (const asset of assets) {
+      const base = { id: asset._id, serialNumber: asset.serialNumber };
+      if (!canAccessAsset(req.user, 'update', asset)) {
+        results.push({ ...base, result: 'failed', message: 'Forbidden' });
+        continue;
       }
-      
-      // Set default date if not provided (current date)
-      if (!asset.dateOfPurchase) {
-        asset.dateOfPurchase = new Date();
+      const disposal = disposalViolation(asset, updates);
+      if (disposal) {
+        results.push({ ...base, result: 'failed', message: disposal });
+        continue;
       }
-      
-      // Mark if serial number needs to be generated
-      asset._needsSerialNumber = !asset.serialNumber || asset.serialNumber === '' || asset.serialNumber === 'NA';
-      
-      asset._rowIndex = index + 2; // Row number in Excel (1-based + header)
-      return asset;
-    });
-
-    // No validation errors needed - all fields have defaults now
-    // Just filter out completely empty rows
-    const validAssets = assets.filter(asset => {
-      // Check if at least one meaningful field has real data (not just "NA")
-      const hasData = ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo']
-        .some(f => asset[f] && asset[f] !== 'NA' && asset[f] !== '');
-      if (hasData) {
-        delete asset._rowIndex;
-        return true;
+      const relocation = transfers.locationViolation(asset, updates, { canRelocate, inTransfer: inTransfer.has(String(asset._id)) });
+      if (relocation) {
+        results.push({ ...base, result: 'failed', message: relocation });
+        continue;
       }
-      return false;
-    });
-
-    if (!validAssets.length) {
-      // Include detected headers for debugging
-      const detectedHeaders = rawData.length > 0 ? Object.keys(rawData[0]) : [];
-      return send(res, 400, { 
-        detectedHeaders,
-        message: 'All rows appear to be empty. Make sure your Excel has data in at least one of these columns.',
-        expectedColumns: ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo', 'dateOfPurchase', 'operatingSystem', 'remark', 'status']
-      }, 'No valid records found. Check that your Excel has data.');
-    }
-    
-    // Generate sequential serial numbers for assets that need them
-    // First, gather all unique prefixes and get their starting sequence numbers
-    const dateStr = getDateString();
-    const prefixStartSeq = {}; // { 'OMT': 5, 'TGL': 3, ... } - starting sequence per prefix
-    const prefixCurrentSeq = {}; // Track current sequence during assignment
-    
-    // Collect all unique prefixes needed
-    const uniquePrefixes = new Set();
-    for (const asset of validAssets) {
-      if (asset._needsSerialNumber) {
-        uniquePrefixes.add(getCompanyPrefix(asset.companyName));
+      const assetUpdates = { ...updates };
+      if (definitions && updates.device !== asset.device) {
+        const { values, errors } = customFields.checkValues(undefined, definitions, { existing: asset.customFields });
+        if (errors.length) {
+          results.push({ ...base, result: 'failed', message: errors.join(', ') });
+          continue;
+        }
+        assetUpdates.customFields = values;
       }
-    }
-    
-    // Query DB once per prefix to get starting sequence
-    for (const prefix of uniquePrefixes) {
-      prefixStartSeq[prefix] = await getNextSequenceNumber(prefix, dateStr);
-      prefixCurrentSeq[prefix] = prefixStartSeq[prefix];
-    }
-    
-    // Assign serial numbers using tracked sequences
-    for (const asset of validAssets) {
-      if (asset._needsSerialNumber) {
-        const prefix = getCompanyPrefix(asset.companyName);
-        const seq = prefixCurrentSeq[prefix];
-        asset.serialNumber = `${prefix}-${dateStr}-${String(seq).padStart(3, '0')}`;
-        prefixCurrentSeq[prefix] = seq + 1;
-        delete asset._needsSerialNumber;
-      } else {
-        delete asset._needsSerialNumber;
+      try {
+        const changes = await applyAssetUpdate(asset, assetUpdates, req.user, { dryRun });
+        const result = !changes.length ? 'unchanged' : dryRun ? 'wouldUpdate' : 'updated';
+        results.push({ ...base, result, changes });
+        if (!dryRun) webhooks.emitChanges(asset, changes, 'bulk update');
+        const lostTo = !dryRun && notifications.lostChange(changes);
+        if (lostTo) lost.push({ asset, previousStatus: lostTo.before });
+      } catch (err) {
+        results.push({ ...base, result: 'failed', message: err.message });
       }
     }
+    notifications.alertLost(lost, req.user, { source: 'bulk update' });
 
-    // Insert in batches of 500 for large datasets
-    const batchSize = 500;
-    const results = { inserted: [], errors: [] };
+    const summary = summarize(results);
+    send(res, 200, { dryRun, matched: assets.length, summary, results },
+      dryRun ? `Preview: ${summary.wouldUpdate || 0} assets would be updated` : `${summary.updated || 0} assets updated`);
+  } catch (err) { next(err); }
+};
 
-    for (let i = 0; i < validAssets.length; i += batchSize) {
-      const batch = validAssets.slice(i, i + batchSize);
-      try {
-        const inserted = await Asset.insertMany(batch, { ordered: false });
-        results.inserted.push(...inserted);
-      } catch (err) {
-        if (err.insertedDocs) results.inserted.push(...err.insertedDocs);
-        if (err.writeErrors) {
-          results.errors.push(...err.writeErrors.map(e => ({
-            serialNumber: batch[e.index]?.serialNumber,
-            message: e.errmsg?.includes('duplicate') ? 'Duplicate serial number' : e.errmsg
-          })));
-        }
+// POST /assets/bulk/delete - Soft delete many assets
+exports.bulkDeleteAssets = async (req, res, next) => {
+  try {
+    const { dryRun = false } = req.body;
+    const { assets, missing } = await findBulkTargets(req.body, req.user);
+
+    const results = missing.map(id => ({ id, result: 'failed', message: 'Asset not found' }));
+    const removed = [];
+    for (const asset of assets) {
+      const base = { id: asset._id, serialNumber: asset.serialNumber };
+      if (dryRun) {
+        results.push({ ...base, result: 'wouldDelete' });
+        continue;
       }
+      const deleted = await Asset.findOneAndUpdate(
+        { _id: asset._id, isDeleted: false },
+        { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id },
+        { new: true }
+      );
+      if (!deleted) {
+        results.push({ ...base, result: 'failed', message: 'Asset not found' });
+        continue;
+      }
+      await audit.record(deleted, 'delete', req.user, { changes: [{ field: 'isDeleted', before: false, after: true }] });
+      results.push({ ...base, result: 'deleted' });
+      removed.push(deleted);
     }
+    webhooks.emit('asset.deleted', removed, { permanent: false });
+
+    const summary = summarize(results);
+    send(res, 200, { dryRun, matched: assets.length, summary, results },
+      dryRun ? `Preview: ${summary.wouldDelete || 0} assets would be deleted` : `${summary.deleted || 0} assets deleted`);
+  } catch (err) { next(err); }
+};
+
+// Helper: Parse an asOf query value (default now)
+const parseAsOf = (asOf) => {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (isNaN(date.getTime())) throw ApiError.badRequest('Invalid asOf date');
+  return date;
+};
+
+// Helper: Cell formatter for spreadsheet export; book value columns are computed as of asOf
+const exportCell = (asOf) => (field, value, doc) => {
+  if (field === 'createdBy') return value ? value.name || value.username : '';
+  if (field === 'bookValue' || field === 'accumulatedDepreciation') return depreciation.valueAsset(doc, asOf)?.[field] ?? '';
+  return value;
+};
+
+// Valuation columns for per-asset rows and summary sheets
+const VALUATION_COLUMNS = {
+  serialNumber: 'Serial Number', companyName: 'Company Name', branch: 'Branch', device: 'Device', brand: 'Brand',
+  dateOfPurchase: 'Date of Purchase', currency: 'Currency', purchasePrice: 'Purchase Price', method: 'Depreciation Method',
+  usefulLifeYears: 'Useful Life Years', annualRate: 'Annual Rate %', ageYears: 'Age (Years)',
+  accumulatedDepreciation: 'Accumulated Depreciation', bookValue: 'Book Value'
+};
+const SUMMARY_COLUMNS = ['currency', 'assets', 'purchasePrice', 'accumulatedDepreciation', 'bookValue'];
+
+// Helper: Summary rows as a sheet ([headers, ...values]) for the xlsx valuation report
+const summarySheet = (name, groupFields, rows) => {
+  const fields = [...groupFields, ...SUMMARY_COLUMNS];
+  const headers = fields.map(f => VALUATION_COLUMNS[f] || (f === 'assets' ? 'Assets' : f));
+  return { name, rows: [headers, ...rows.map(r => fields.map(f => r[f]))] };
+};
 
-    send(res, 201, {
-      totalRows: rawData.length,
-      created: results.inserted.length,
-      failed: results.errors.length,
-      skippedEmptyRows: rawData.length - validAssets.length,
-      insertErrors: results.errors.slice(0, 50)
-    }, `Excel processed: ${results.inserted.length} created, ${results.errors.length} failed`);
-  } catch (err) { 
-    if (err.message?.includes('Encrypted')) {
-      return send(res, 400, null, 'Cannot read password-protected Excel files');
+// GET /assets/valuation - Book value per asset and totals by company, branch and device as of a date
+// (asOf, format=json|xlsx|csv, page/limit for json, plus list filters)
+exports.getValuation = async (req, res, next) => {
+  try {
+    const { asOf, format = 'json', page = 1, limit = 20, sortBy, order, ...filters } = req.query;
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
     }
-    next(err); 
-  }
+    const valuationDate = parseAsOf(asOf);
+    const sorting = parseSort(sortBy, order);
+
+    // Only assets bought by asOf; disposed assets are off the books unless a status is asked for
+    const query = await buildAssetQuery(filters, req.user);
+    const dateTo = query.dateOfPurchase?.$lte;
+    query.dateOfPurchase = { ...query.dateOfPurchase, $lte: dateTo && dateTo < valuationDate ? dateTo : valuationDate };
+    if (!filters.status) query.status = { $ne: 'Disposed' };
+
+    const cursor = Asset.find(query)
+      .sort(sorting.sort)
+      .select(depreciation.VALUATION_FIELDS)
+      .lean()
+      .cursor();
+    const { rows, ...summary } = await depreciation.valuePortfolio(cursor, valuationDate);
+
+    if (format !== 'json') {
+      const columns = exporter.resolveColumns(null, VALUATION_COLUMNS);
+      const filename = exporter.stamp(`valuation-${valuationDate.toISOString().slice(0, 10)}`);
+      // xlsx gets the summaries as extra sheets; csv carries the per-asset rows only
+      return exporter.sendFile(format, res, rows, columns, filename, null, {
+        sheetName: 'Valuation',
+        extraSheets: [
+          summarySheet('Totals', [], summary.totals),
+          summarySheet('By Company', ['companyName'], summary.byCompany),
+          summarySheet('By Branch', ['companyName', 'branch'], summary.byBranch),
+          summarySheet('By Device', ['device'], summary.byDevice)
+        ]
+      });
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const assets = rows.slice((currentPage - 1) * pageLimit, currentPage * pageLimit);
+    send(res, 200, {
+      asOf: valuationDate,
+      ...summary,
+      assets,
+      pagination: paginationInfo(currentPage, pageLimit, rows.length, assets.length)
+    }, 'Valuation retrieved');
+  } catch (err) { next(err); }
 };
 
-// GET /assets/export - Export assets to JSON (for Excel generation on frontend)
+// GET /assets/export - Export assets as JSON, or download as xlsx/csv (format, columns + all list filters,
+// viewId applies a saved view)
 exports.exportAssets = async (req, res, next) => {
   try {
-    const { format = 'json', ...filters } = req.query;
-    
-    // Build filter query (reuse logic from getAllAssets)
-    const query = { isDeleted: false };
-    
-    ['companyName', 'branch', 'department', 'status', 'device', 'brand'].forEach(f => {
-      if (filters[f]) {
-        const values = filters[f].split(',').map(v => v.trim()).filter(Boolean);
-        query[f] = values.length > 1 ? { $in: values } : values[0];
-      }
-    });
+    const { params } = await views.applyView(req.query, req.user);
+    const { format = 'json', columns, sortBy, order, asOf, ...filters } = params;
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+    }
+    const valuationDate = parseAsOf(asOf);
+    const sorting = parseSort(sortBy, order);
 
-    if (filters.createdBy) query.createdBy = filters.createdBy;
-    
-    // Get all matching assets (no pagination for export)
-    const assets = await Asset.find(query)
-      .sort({ createdAt: -1 })
+    // Same filters as GET /assets (no pagination for export)
+    const query = await buildAssetQuery(filters, req.user);
+    const find = () => Asset.find(query)
+      .sort(sorting.sort)
       .populate('createdBy', 'username name')
       .lean();
 
-    send(res, 200, { assets, total: assets.length }, 'Assets exported');
+    if (format === 'json') {
+      const assets = (await find()).map(a => ({ ...a, valuation: depreciation.valueAsset(a, valuationDate) }));
+      return send(res, 200, { assets, total: assets.length, asOf: valuationDate }, 'Assets exported');
+    }
+
+    // Custom fields of the exported device types become extra columns
+    const definitions = await customFields.definitionsFor(filters.device?.split(',').map(d => d.trim()));
+    const selected = exporter.resolveColumns(columns, { ...EXPORT_COLUMNS, ...customFields.columns(definitions) });
+    await exporter.sendFile(format, res, find().cursor(), selected, exporter.stamp('assets'), exportCell(valuationDate));
   } catch (err) { next(err); }
 };
 
 // GET /assets/filters - Get available filter options
 exports.getFilterOptions = async (req, res, next) => {
   try {
+    const match = { isDeleted: false, ...assetScope(req.user) };
     const [companies, branches, departments, devices, statuses, brands] = await Promise.all([
-      Asset.distinct('companyName', { isDeleted: false }),
-      Asset.distinct('branch', { isDeleted: false }),
-      Asset.distinct('department', { isDeleted: false }),
-      Asset.distinct('device', { isDeleted: false }),
-      Asset.distinct('status', { isDeleted: false }),
-      Asset.distinct('brand', { isDeleted: false })
+      Asset.distinct('companyName', match),
+      Asset.distinct('branch', match),
+      Asset.distinct('department', match),
+      Asset.distinct('device', match),
+      Asset.distinct('status', match),
+      Asset.distinct('brand', match)
     ]);
 
     send(res, 200, {
@@ -599,14 +568,14 @@ exports.getFilterOptions = async (req, res, next) => {
   } catch (err) { next(err); }
 };
 
-// GET /assets/generate-serial/:companyName - Generate a new serial number
+// GET /assets/generate-serial/:companyName - Generate and reserve the next serial number
 exports.generateSerial = async (req, res, next) => {
   try {
     const { companyName } = req.params;
     
-    // Generate sequential serial number
-    const serialNumber = await generateSerialNumber(companyName || 'NA');
+    // Take the next number from the company's counter and hold it for this user
+    const { serialNumber, expiresAt } = await serials.reserveSerialNumber(companyName || 'NA', req.user);
     
-    send(res, 200, { serialNumber: serialNumber.toUpperCase() }, 'Serial number generated');
+    send(res, 200, { serialNumber, reservedUntil: expiresAt }, 'Serial number generated');
   } catch (err) { next(err); }
 };
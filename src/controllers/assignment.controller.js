@@ -0,0 +1,142 @@
+const Asset = require('../models/Asset.model');
+const Assignment = require('../models/Assignment.model');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+const { canAccessAsset, assetScope } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const webhooks = require('../services/webhook.service');
+const directory = require('../services/directory.service');
+const { escapeRegex } = require('../services/search.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// Helper: Close the open assignment of an asset, if any
+const closeActive = (assetId, user, { returnedAt = new Date(), condition = '', notes } = {}) =>
+  Assignment.findOneAndUpdate(
+    { asset: assetId, isActive: true },
+    {
+      isActive: false,
+      returnedAt,
+      returnedBy: user._id,
+      conditionIn: condition,
+      ...(notes !== undefined && { notes })
+    },
+    { new: true }
+  );
+
+// Helper: Point asset.userName/employeeId at the current holder and audit the change
+const setHolder = async (asset, userName, employeeId, user, assignment) => {
+  const before = asset.userName;
+  asset.employeeId = employeeId;
+  if (before === userName) return asset.save();
+  asset.userName = userName;
+  await asset.save();
+  await audit.record(asset, 'update', user, {
+    changes: [{ field: 'userName', before, after: userName }],
+    meta: { assignment: assignment._id }
+  });
+};
+
+// POST /assets/:id/assign - Assign (or reassign) an asset to an employee
+exports.assignAsset = async (req, res, next) => {
+  try {
+    const { assignedAt, condition = '', notes = '' } = req.body;
+
+    // Link the assignee to the employee directory when possible
+    const holder = { userName: req.body.assignee, employeeId: req.body.employeeId };
+    directory.applyDirectory(await directory.loadResolver(), holder, { exact: true });
+    const assignee = holder.userName;
+    if (!assignee) return send(res, 404, null, 'Employee not found');
+
+    const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false });
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (['Disposed', 'Lost'].includes(asset.status)) {
+      return send(res, 400, null, `Cannot assign an asset that is ${asset.status}`);
+    }
+
+    const when = assignedAt ? new Date(assignedAt) : new Date();
+    const previous = await closeActive(asset._id, req.user, { returnedAt: when });
+
+    const assignment = await Assignment.create({
+      asset: asset._id,
+      assignee,
+      employee: holder.employeeId,
+      assignedAt: when,
+      assignedBy: req.user._id,
+      conditionOut: condition,
+      notes
+    });
+    await setHolder(asset, assignee, holder.employeeId, req.user, assignment);
+    webhooks.emit('asset.assigned', asset, {
+      assignment: { _id: assignment._id, assignee, assignedAt: when, previousAssignee: previous?.assignee ?? null }
+    });
+
+    send(res, 201, { assignment, previous }, previous ? 'Asset reassigned' : 'Asset assigned');
+  } catch (err) { next(err); }
+};
+
+// POST /assets/:id/return - Check an asset back in
+exports.returnAsset = async (req, res, next) => {
+  try {
+    const { returnedAt, condition = '', notes } = req.body;
+
+    const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false });
+    if (!asset) return send(res, 404, null, 'Asset not found');
+
+    const assignment = await closeActive(asset._id, req.user, {
+      returnedAt: returnedAt ? new Date(returnedAt) : new Date(),
+      condition,
+      notes
+    });
+    if (!assignment) return send(res, 400, null, 'Asset is not currently assigned');
+    await setHolder(asset, 'NA', null, req.user, assignment);
+    webhooks.emit('asset.returned', asset, {
+      assignment: { _id: assignment._id, assignee: assignment.assignee, returnedAt: assignment.returnedAt }
+    });
+
+    send(res, 200, assignment, 'Asset returned');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/:id/assignments - Full custody chain, oldest first
+exports.getAssetAssignments = async (req, res, next) => {
+  try {
+    const asset = await Asset.findById(req.params.id).select('createdBy').lean();
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+
+    const assignments = await Assignment.find({ asset: asset._id })
+      .sort({ assignedAt: 1 })
+      .populate('assignedBy returnedBy', 'username name')
+      .lean();
+
+    send(res, 200, assignments, 'Assignments retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/held-by/:employee - Assets currently held by an employee (directory ID or name)
+exports.getAssetsHeldBy = async (req, res, next) => {
+  try {
+    const { employee } = req.params;
+    const holder = mongoose.isValidObjectId(employee)
+      ? { employee }
+      : { assignee: new RegExp(`^${escapeRegex(employee.trim())}$`, 'i') };
+    const assignments = await Assignment.find({ ...holder, isActive: true })
+      .select('asset assignee assignedAt conditionOut')
+      .lean();
+
+    const assets = await Asset.find({
+      _id: { $in: assignments.map(a => a.asset) },
+      isDeleted: false,
+      ...assetScope(req.user)
+    }).lean();
+
+    const byAsset = new Map(assignments.map(a => [String(a.asset), a]));
+    const data = assets.map(asset => ({ ...asset, assignment: byAsset.get(String(asset._id)) }));
+
+    send(res, 200, data, 'Assets retrieved');
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,46 @@
+const AuditLog = require('../models/AuditLog.model');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// GET /audit - Global audit feed with filters (admin)
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, action, asset, serialNumber, performedBy, dateFrom, dateTo } = req.query;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(200, parseInt(limit) || 50));
+
+    const query = {};
+    if (action) {
+      const values = action.split(',').map(v => v.trim()).filter(Boolean);
+      query.action = values.length > 1 ? { $in: values } : values[0];
+    }
+    if (asset) query.asset = asset;
+    if (serialNumber) query.serialNumber = serialNumber.toUpperCase();
+    if (performedBy) query.performedBy = performedBy;
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate('performedBy', 'username name')
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / pageLimit);
+    send(res, 200, {
+      logs,
+      pagination: { currentPage, totalPages, totalItems: total, itemsPerPage: pageLimit }
+    }, 'Audit logs retrieved');
+  } catch (err) { next(err); }
+};
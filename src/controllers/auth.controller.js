@@ -1,14 +1,40 @@
 const User = require('../models/User.model');
+const { signAccessToken, signRefreshToken, verifyRefreshToken, hashToken } = require('../utils/token');
+const { JWT_ACCESS_EXPIRES_IN } = require('../config/environment');
+const { can } = require('../config/permissions');
+const ApiError = require('../utils/ApiError');
+
+// Max concurrent refresh tokens (sessions) kept per user
+const MAX_SESSIONS = 10;
 
 // Helper: Send response
 const send = (res, status, data, message) => {
   res.status(status).json({ success: status < 400, data, message });
 };
 
+// Helper: Issue an access/refresh token pair and remember the refresh token
+const issueTokens = async (user) => {
+  const accessToken = signAccessToken(user);
+  const refreshToken = signRefreshToken(user);
+  await User.updateOne(
+    { _id: user._id },
+    { $push: { refreshTokens: { $each: [hashToken(refreshToken)], $slice: -MAX_SESSIONS } } }
+  );
+  return { accessToken, refreshToken, expiresIn: JWT_ACCESS_EXPIRES_IN };
+};
+
 // POST /auth/signup - Register new user
 exports.signup = async (req, res, next) => {
   try {
-    const { username, name, role, password } = req.body;
+    const { username, name, role = 'user', password, email = null } = req.body;
+
+    // Elevated roles need a permitted caller; the very first account may bootstrap as admin
+    if (role !== 'user' && !can(req.user, `user:create:${role}`)) {
+      const isFirstUser = !(await User.exists({}));
+      if (!(isFirstUser && role === 'admin')) {
+        throw ApiError.forbidden(`Not allowed to create ${role} accounts`);
+      }
+    }
 
     // Check if username exists
     if (await User.exists({ username: username.toLowerCase() })) {
@@ -16,10 +42,10 @@ exports.signup = async (req, res, next) => {
     }
 
     // Create user
-    const user = await User.create({ username, name, role, password });
+    const user = await User.create({ username, name, role, password, email });
 
     // Return user without password
-    const userData = { _id: user._id, username: user.username, name: user.name, role: user.role };
+    const userData = { _id: user._id, username: user.username, name: user.name, role: user.role, email: user.email };
     send(res, 201, userData, 'User registered successfully');
   } catch (err) { next(err); }
 };
@@ -41,9 +67,42 @@ exports.login = async (req, res, next) => {
       return send(res, 401, null, 'Invalid username or password');
     }
 
-    // Return user data (without password)
-    const userData = { _id: user._id, username: user.username, name: user.name, role: user.role };
-    send(res, 200, userData, 'Login successful');
+    // Return user data (without password) with tokens
+    const userData = { _id: user._id, username: user.username, name: user.name, role: user.role, email: user.email };
+    const tokens = await issueTokens(user);
+    send(res, 200, { user: userData, ...tokens }, 'Login successful');
+  } catch (err) { next(err); }
+};
+
+// POST /auth/refresh - Exchange a refresh token for a new token pair
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const payload = verifyRefreshToken(refreshToken);
+
+    // Rotate: the presented token is consumed, reuse of it fails
+    const user = await User.findOneAndUpdate(
+      { _id: payload.sub, refreshTokens: hashToken(refreshToken) },
+      { $pull: { refreshTokens: hashToken(refreshToken) } }
+    );
+    if (!user) {
+      return send(res, 401, null, 'Invalid refresh token');
+    }
+
+    const tokens = await issueTokens(user);
+    send(res, 200, tokens, 'Token refreshed');
+  } catch (err) { next(err); }
+};
+
+// POST /auth/logout - Revoke a refresh token
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    await User.updateOne(
+      { refreshTokens: hashToken(refreshToken) },
+      { $pull: { refreshTokens: hashToken(refreshToken) } }
+    );
+    send(res, 200, null, 'Logged out');
   } catch (err) { next(err); }
 };
 
@@ -64,8 +123,9 @@ exports.resetPassword = async (req, res, next) => {
       return send(res, 401, null, 'Current password is incorrect');
     }
 
-    // Update password
+    // Update password and sign out every existing session
     user.password = newPassword;
+    user.refreshTokens = [];
     await user.save();
 
     send(res, 200, null, 'Password reset successfully');
@@ -0,0 +1,64 @@
+const Asset = require('../models/Asset.model');
+const CustomField = require('../models/CustomField.model');
+const ApiError = require('../utils/ApiError');
+const customFields = require('../services/customField.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// Device, key and type identify stored values, so only these can change after creation
+const EDITABLE_FIELDS = ['label', 'options', 'required'];
+
+// GET /custom-fields?device=Server - Field definitions, optionally for some device types (comma-separated)
+exports.getFields = async (req, res, next) => {
+  try {
+    const devices = req.query.device ? req.query.device.split(',').map(d => d.trim()) : null;
+    send(res, 200, await customFields.definitionsFor(devices), 'Custom fields retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /custom-fields - Define a field for a device type
+exports.createField = async (req, res, next) => {
+  try {
+    const { device, key, label, type, options, required } = req.body;
+    if (await CustomField.exists({ device, key })) {
+      throw ApiError.conflict(`${device} already has a custom field "${key}"`);
+    }
+    const field = await CustomField.create({ device, key, label, type, options, required });
+    send(res, 201, field, 'Custom field created');
+  } catch (err) { next(err); }
+};
+
+// PUT /custom-fields/:id - Update a field's label, enum options or required flag
+exports.updateField = async (req, res, next) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+    if (!field) return send(res, 404, null, 'Custom field not found');
+
+    EDITABLE_FIELDS.forEach(f => {
+      if (req.body[f] !== undefined) field[f] = req.body[f];
+    });
+    await field.save();
+    send(res, 200, field, 'Custom field updated');
+  } catch (err) { next(err); }
+};
+
+// DELETE /custom-fields/:id - Delete a field; when assets hold values for it, force=true also removes them
+exports.deleteField = async (req, res, next) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+    if (!field) return send(res, 404, null, 'Custom field not found');
+
+    const path = `${customFields.FILTER_PREFIX}${field.key}`;
+    const inUse = await Asset.countDocuments({ device: field.device, [path]: { $exists: true } });
+    if (inUse && req.query.force !== 'true') {
+      throw ApiError.conflict(`${inUse} asset(s) have a value for this field; pass force=true to delete it with its values`);
+    }
+
+    if (inUse) await Asset.updateMany({ device: field.device, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+    await field.deleteOne();
+    send(res, 200, { removedValues: inUse }, 'Custom field deleted');
+  } catch (err) { next(err); }
+};
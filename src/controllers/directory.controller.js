@@ -0,0 +1,80 @@
+const Asset = require('../models/Asset.model');
+const { invalidateResolver } = require('../services/directory.service');
+const { escapeRegex } = require('../services/search.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// Build CRUD handlers for a directory model.
+// assetLink: { ref, name } keeps the denormalized name on assets in sync on rename.
+// filters: query params matched exactly (e.g. company, branch).
+// populate: reference paths populated on reads.
+exports.crud = (Model, { label, assetLink, filters = [], populate = '' }) => {
+  const withRefs = (query) => (populate ? query.populate(populate, 'name') : query);
+
+  return {
+    // GET / - List with optional search and filters
+    list: async (req, res, next) => {
+      try {
+        const { search, includeInactive } = req.query;
+        const query = includeInactive === 'true' ? {} : { isActive: true };
+        filters.forEach(f => { if (req.query[f]) query[f] = req.query[f]; });
+        if (search) {
+          const regex = new RegExp(escapeRegex(search), 'i');
+          query.$or = [{ name: regex }, { aliases: regex }];
+        }
+
+        const items = await withRefs(Model.find(query).sort({ name: 1 })).lean();
+        send(res, 200, items, `${label} list retrieved`);
+      } catch (err) { next(err); }
+    },
+
+    // GET /:id - Get one
+    get: async (req, res, next) => {
+      try {
+        const item = await withRefs(Model.findById(req.params.id)).lean();
+        if (!item) return send(res, 404, null, `${label} not found`);
+        send(res, 200, item, `${label} retrieved`);
+      } catch (err) { next(err); }
+    },
+
+    // POST / - Create
+    create: async (req, res, next) => {
+      try {
+        const item = await Model.create(req.body);
+        invalidateResolver();
+        send(res, 201, item, `${label} created`);
+      } catch (err) { next(err); }
+    },
+
+    // PUT /:id - Update; renames propagate to linked assets
+    update: async (req, res, next) => {
+      try {
+        const item = await Model.findById(req.params.id);
+        if (!item) return send(res, 404, null, `${label} not found`);
+
+        const previousName = item.name;
+        Object.assign(item, req.body);
+        await item.save();
+        invalidateResolver();
+
+        if (item.name !== previousName) {
+          await Asset.updateMany({ [assetLink.ref]: item._id }, { [assetLink.name]: item.name });
+        }
+        send(res, 200, item, `${label} updated`);
+      } catch (err) { next(err); }
+    },
+
+    // DELETE /:id - Deactivate (linked assets keep their reference)
+    remove: async (req, res, next) => {
+      try {
+        const item = await Model.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!item) return send(res, 404, null, `${label} not found`);
+        invalidateResolver();
+        send(res, 200, null, `${label} deactivated`);
+      } catch (err) { next(err); }
+    }
+  };
+};
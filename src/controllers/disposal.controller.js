@@ -0,0 +1,329 @@
+const Asset = require('../models/Asset.model');
+const Assignment = require('../models/Assignment.model');
+const DisposalRequest = require('../models/DisposalRequest.model');
+const MaintenanceTicket = require('../models/MaintenanceTicket.model');
+const ApiError = require('../utils/ApiError');
+const { can, canAccessAsset } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const exporter = require('../services/export.service');
+const depreciation = require('../services/depreciation.service');
+const transfers = require('../services/transfer.service');
+const webhooks = require('../services/webhook.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const PEOPLE = 'requestedBy reviewedBy';
+const PEOPLE_FIELDS = 'username name';
+// Populated asset fields: enough to value it with its own depreciation settings
+const ASSET_FIELDS = depreciation.VALUATION_FIELDS;
+const IN_TRANSFER = 'Asset is on an open transfer request; receive or cancel the transfer before disposing of it';
+
+// Disposal register columns (approved requests)
+const REGISTER_COLUMNS = {
+  serialNumber: 'Serial Number',
+  companyName: 'Company Name',
+  branch: 'Branch',
+  'asset.device': 'Device',
+  'asset.brand': 'Brand',
+  'asset.dateOfPurchase': 'Date of Purchase',
+  'asset.purchasePrice': 'Purchase Price',
+  currency: 'Currency',
+  method: 'Disposal Method',
+  reason: 'Reason',
+  disposalDate: 'Disposal Date',
+  bookValue: 'Book Value',
+  disposalValue: 'Disposal Value',
+  gainLoss: 'Gain / Loss',
+  requestedBy: 'Requested By',
+  requestedAt: 'Requested At',
+  reviewedBy: 'Approved By',
+  reviewedAt: 'Approved At',
+  reviewNote: 'Approval Note'
+};
+
+// Helper: Build the request filter from query params (shared by listing and the register)
+const buildDisposalQuery = (params) => {
+  const { status, method, asset, serialNumber, dateFrom, dateTo } = params;
+  const query = {};
+
+  // Exact match filters (support comma-separated multiple values)
+  ['branch', 'companyName'].forEach(f => {
+    if (params[f]) {
+      const values = params[f].split(',').map(v => v.trim()).filter(Boolean);
+      query[f] = values.length > 1 ? { $in: values } : values[0];
+    }
+  });
+
+  if (status) query.status = status;
+  if (method) query.method = method;
+  if (asset) query.asset = asset;
+  if (serialNumber) query.serialNumber = serialNumber.toUpperCase();
+
+  // Date range on when the request was made
+  if (dateFrom || dateTo) {
+    query.requestedAt = {};
+    if (dateFrom) query.requestedAt.$gte = new Date(dateFrom);
+    if (dateTo) query.requestedAt.$lte = new Date(dateTo);
+  }
+  return query;
+};
+
+// Helper: Load a request or answer 404
+const findRequest = async (id) => {
+  const request = await DisposalRequest.findById(id);
+  if (!request) throw ApiError.notFound('Disposal request not found');
+  return request;
+};
+
+// Helper: Move a request out of pending. The update only applies while the request is still pending,
+// so two reviewers acting at once can't both settle it; returns the updated request or null.
+const settle = (request, updates) =>
+  DisposalRequest.findOneAndUpdate({ _id: request._id, status: 'pending' }, updates, { new: true, runValidators: true });
+
+const ALREADY_SETTLED = 'Disposal request was settled by someone else';
+
+// Helper: Approvers may not review their own requests
+const assertNotRequester = (request, user) => {
+  if (request.requestedBy.equals(user._id)) {
+    throw ApiError.forbidden('You cannot review your own disposal request');
+  }
+};
+
+// POST /assets/:id/disposal - Request disposal or write-off of an asset
+exports.requestDisposal = async (req, res, next) => {
+  try {
+    const { method, reason, expectedValue = null } = req.body;
+
+    const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false });
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'update', asset)) throw ApiError.forbidden();
+    if (asset.status === 'Disposed') return send(res, 400, null, 'Asset is already disposed');
+    if ((await transfers.assetsInTransfer([asset._id])).size) return send(res, 400, null, IN_TRANSFER);
+    if (await DisposalRequest.exists({ asset: asset._id, status: 'pending' })) {
+      throw ApiError.conflict('Asset already has a pending disposal request');
+    }
+
+    const request = await DisposalRequest.create({
+      asset: asset._id,
+      serialNumber: asset.serialNumber,
+      companyName: asset.companyName,
+      branch: asset.branch,
+      method,
+      reason,
+      expectedValue,
+      requestedBy: req.user._id
+    });
+    send(res, 201, request, 'Disposal requested');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/:id/disposal - Disposal requests of an asset, newest first
+exports.getAssetDisposals = async (req, res, next) => {
+  try {
+    const asset = await Asset.findById(req.params.id).select('createdBy').lean();
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+
+    const requests = await DisposalRequest.find({ asset: asset._id })
+      .sort({ requestedAt: -1 })
+      .populate(PEOPLE, PEOPLE_FIELDS)
+      .lean();
+    send(res, 200, requests, 'Disposal requests retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /disposals - List requests with filters and pagination (approvers see all, others their own)
+exports.getDisposals = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, order = 'desc', ...params } = req.query;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const query = buildDisposalQuery(params);
+    if (!can(req.user, 'disposal:approve')) query.requestedBy = req.user._id;
+
+    const [requests, total] = await Promise.all([
+      DisposalRequest.find(query)
+        .sort({ requestedAt: order === 'asc' ? 1 : -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate(PEOPLE, PEOPLE_FIELDS)
+        .lean(),
+      DisposalRequest.countDocuments(query)
+    ]);
+
+    send(res, 200, {
+      requests,
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Disposal requests retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /disposals/pending - Requests awaiting approval, oldest first (the caller's own are flagged ownRequest)
+exports.getPendingApprovals = async (req, res, next) => {
+  try {
+    const requests = await DisposalRequest.find({ ...buildDisposalQuery(req.query), status: 'pending' })
+      .sort({ requestedAt: 1 })
+      .populate('asset', ASSET_FIELDS)
+      .populate('requestedBy', PEOPLE_FIELDS)
+      .lean();
+
+    const now = new Date();
+    send(res, 200, requests.map(r => ({
+      ...r,
+      // Book value today, as a reference for the expected proceeds
+      currentBookValue: r.asset ? depreciation.valueAsset(r.asset, now)?.bookValue ?? null : null,
+      ownRequest: r.requestedBy?._id?.equals(req.user._id) || false
+    })), 'Pending disposal requests retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /disposals/:id - Get one request
+exports.getDisposal = async (req, res, next) => {
+  try {
+    const request = await DisposalRequest.findById(req.params.id)
+      .populate('asset', ASSET_FIELDS)
+      .populate(PEOPLE, PEOPLE_FIELDS)
+      .lean();
+    if (!request) return send(res, 404, null, 'Disposal request not found');
+    if (!can(req.user, 'disposal:approve') && !request.requestedBy?._id?.equals(req.user._id)) throw ApiError.forbidden();
+    send(res, 200, request, 'Disposal request retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /disposals/:id/approve - Approve a request: the asset becomes Disposed with the disposal date and value
+exports.approveDisposal = async (req, res, next) => {
+  try {
+    const { disposalDate, disposalValue, note = '' } = req.body;
+
+    const request = await findRequest(req.params.id);
+    if (request.status !== 'pending') return send(res, 400, null, `Disposal request is already ${request.status}`);
+    assertNotRequester(request, req.user);
+
+    const asset = await Asset.findOne({ _id: request.asset, isDeleted: false });
+    if (!asset) return send(res, 400, null, 'The asset no longer exists; reject or cancel the request');
+    if (asset.status === 'Disposed') return send(res, 400, null, 'Asset is already disposed');
+    if (await MaintenanceTicket.exists({ asset: asset._id, status: 'open' })) {
+      return send(res, 400, null, 'Close the open maintenance ticket before disposing of the asset');
+    }
+    if (await Assignment.exists({ asset: asset._id, isActive: true })) {
+      return send(res, 400, null, 'Return the asset (POST /assets/:id/return) before disposing of it');
+    }
+    if ((await transfers.assetsInTransfer([asset._id])).size) return send(res, 400, null, IN_TRANSFER);
+
+    const when = disposalDate ? new Date(disposalDate) : new Date();
+    if (when < asset.dateOfPurchase) return send(res, 400, null, 'disposalDate cannot be before the purchase date');
+    const value = disposalValue ?? request.expectedValue ?? 0;
+    const valuation = depreciation.valueAsset(asset, when);
+
+    // Approve first (claiming the request), then dispose of the asset
+    const approved = await settle(request, {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNote: note,
+      disposalDate: when,
+      disposalValue: value,
+      bookValue: valuation?.bookValue ?? null,
+      currency: valuation?.currency ?? null,
+      previousStatus: asset.status
+    });
+    if (!approved) return send(res, 409, null, ALREADY_SETTLED);
+
+    const before = asset.toObject();
+    Object.assign(asset, { status: 'Disposed', disposalDate: when, disposalValue: value, disposalMethod: request.method });
+    try {
+      await asset.save();
+    } catch (err) {
+      // The asset was not disposed: put the request back so the register doesn't show it
+      await DisposalRequest.updateOne({ _id: request._id, status: 'approved' }, {
+        status: 'pending', reviewedBy: null, reviewedAt: null, reviewNote: '', disposalDate: null,
+        disposalValue: null, bookValue: null, currency: null, previousStatus: null
+      });
+      throw err;
+    }
+    await audit.record(asset, 'update', req.user, {
+      changes: audit.diff(before, asset.toObject(), ['status', 'disposalDate', 'disposalValue', 'disposalMethod']),
+      meta: { disposal: request._id }
+    });
+    webhooks.emit('asset.disposed', asset, {
+      disposal: { _id: request._id, method: request.method, disposalDate: when, disposalValue: value, bookValue: approved.bookValue }
+    });
+
+    send(res, 200, approved, 'Disposal approved');
+  } catch (err) { next(err); }
+};
+
+// POST /disposals/:id/reject - Reject a request with a note
+exports.rejectDisposal = async (req, res, next) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (request.status !== 'pending') return send(res, 400, null, `Disposal request is already ${request.status}`);
+    assertNotRequester(request, req.user);
+
+    const rejected = await settle(request, { status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: req.body.note });
+    if (!rejected) return send(res, 409, null, ALREADY_SETTLED);
+    send(res, 200, rejected, 'Disposal rejected');
+  } catch (err) { next(err); }
+};
+
+// POST /disposals/:id/cancel - Withdraw a pending request (requester or approver)
+exports.cancelDisposal = async (req, res, next) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request.requestedBy.equals(req.user._id) && !can(req.user, 'disposal:approve')) throw ApiError.forbidden();
+    if (request.status !== 'pending') return send(res, 400, null, `Disposal request is already ${request.status}`);
+
+    const cancelled = await settle(request, { status: 'cancelled', reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: req.body.note || '' });
+    if (!cancelled) return send(res, 409, null, ALREADY_SETTLED);
+    send(res, 200, cancelled, 'Disposal request cancelled');
+  } catch (err) { next(err); }
+};
+
+// Helper: Proceeds minus book value on the disposal date (null when the asset had no purchase price)
+const gainLoss = (request) =>
+  (request.bookValue == null ? null : Math.round((request.disposalValue - request.bookValue) * 100) / 100);
+
+// Helper: Cell formatter for the register export
+const registerCell = (field, value, doc) => {
+  if (field === 'requestedBy' || field === 'reviewedBy') return value ? value.name || value.username : '';
+  if (field === 'gainLoss') return gainLoss(doc) ?? '';
+  return value;
+};
+
+// GET /disposals/register - Disposal register: approved disposals by disposal date
+// (from/to on disposalDate, companyName, branch, method, format=json|xlsx|csv)
+exports.getRegister = async (req, res, next) => {
+  try {
+    const { format = 'json', from, to, ...params } = req.query;
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { dateFrom, dateTo, status, ...filters } = params;
+    const query = { ...buildDisposalQuery(filters), status: 'approved' };
+    if (from || to) {
+      query.disposalDate = {};
+      if (from) query.disposalDate.$gte = new Date(from);
+      if (to) query.disposalDate.$lte = new Date(to);
+    }
+
+    const find = () => DisposalRequest.find(query)
+      .sort({ disposalDate: 1, serialNumber: 1 })
+      .populate('asset', ASSET_FIELDS)
+      .populate(PEOPLE, PEOPLE_FIELDS)
+      .lean();
+
+    if (format === 'json') {
+      const entries = (await find()).map(r => ({ ...r, gainLoss: gainLoss(r) }));
+      return send(res, 200, { entries, total: entries.length }, 'Disposal register retrieved');
+    }
+
+    const columns = exporter.resolveColumns(null, REGISTER_COLUMNS);
+    await exporter.sendFile(format, res, find().cursor(), columns, exporter.stamp('disposal-register'), registerCell,
+      { sheetName: 'Disposal Register' });
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,223 @@
+const ImportBatch = require('../models/ImportBatch.model');
+const ApiError = require('../utils/ApiError');
+const { can } = require('../config/permissions');
+const importer = require('../services/import.service');
+const exporter = require('../services/export.service');
+
+// Committed batches are kept this long for report downloads
+const COMMITTED_TTL_DAYS = 30;
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// Helper: Read and check the import mode options (insert | update | upsert, matched by serialNumber | deviceSerialNo)
+const readOptions = ({ mode = 'insert', matchBy = 'serialNumber' }) => {
+  if (!importer.IMPORT_MODES.includes(mode)) {
+    throw ApiError.badRequest(`Invalid mode. Use one of: ${importer.IMPORT_MODES.join(', ')}`);
+  }
+  if (!importer.MATCH_FIELDS.includes(matchBy)) {
+    throw ApiError.badRequest(`Invalid matchBy. Use one of: ${importer.MATCH_FIELDS.join(', ')}`);
+  }
+  return { mode, matchBy };
+};
+
+// Helper: Analysis options for a user (only admins may change locations outside a transfer)
+const analysisOptions = (options, user) => ({ ...options, relocate: can(user, 'asset:relocate') });
+
+// Helper: Commit options for a user; the same rules are checked again against the assets at commit time
+const commitOptions = (user) => ({ relocate: can(user, 'asset:relocate') });
+
+// Helper: Per-row outcome list for API responses
+const rowResults = (rows) => rows.filter(r => !r.empty).map(r => ({
+  row: r.row,
+  result: r.result || (r.errors.length ? 'invalid' : 'skipped'),
+  serialNumber: r.serialNumber,
+  ...(r.changes?.length && { changes: r.changes }),
+  ...(r.errors.length && { errors: r.errors }),
+  ...(r.warnings.length && { warnings: r.warnings }),
+  ...(r.message && { message: r.message })
+}));
+
+// Helper: Row details for API responses (raw cell values are only used by the report)
+const rowView = ({ raw, ...row }) => row;
+
+// Helper: Preview payload for a batch
+const batchView = (batch) => ({
+  importId: batch._id,
+  fileName: batch.fileName,
+  status: batch.status,
+  options: batch.options,
+  columnMapping: batch.columnMapping,
+  unmappedHeaders: batch.columnMapping.filter(m => !m.field).map(m => m.header),
+  summary: batch.summary,
+  result: batch.result,
+  expiresAt: batch.expiresAt,
+  rows: batch.rows.filter(r => !r.empty).map(rowView)
+});
+
+// Helper: Load one of the current user's import batches
+const findBatch = (req) => ImportBatch.findOne({ _id: req.params.importId, createdBy: req.user._id });
+
+// Helper: 400 response when a sheet has no usable rows
+const sendNoRows = (res, headers) => send(res, 400, {
+  detectedHeaders: headers,
+  message: 'All rows appear to be empty. Make sure your Excel has data in at least one of these columns.',
+  expectedColumns: ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo', 'dateOfPurchase', 'operatingSystem', 'remark', 'status']
+}, 'No valid records found. Check that your Excel has data.');
+
+// POST /assets/import/preview - Analyze an uploaded file without inserting anything
+exports.previewImport = async (req, res, next) => {
+  try {
+    if (!req.file) return send(res, 400, null, 'Please upload an Excel file');
+
+    const options = readOptions(req.body);
+    const sheet = importer.parseWorkbook(req.file.buffer);
+    const { columnMapping, rows, summary } = await importer.analyze(sheet, analysisOptions(options, req.user));
+    if (summary.emptyRows === summary.totalRows) return sendNoRows(res, sheet.headers);
+
+    const batch = await ImportBatch.create({
+      fileName: req.file.originalname,
+      options,
+      headers: sheet.headers,
+      columnMapping,
+      rows,
+      summary,
+      createdBy: req.user._id
+    });
+
+    send(res, 201, batchView(batch),
+      `Preview ready: ${summary.toCreate} to create, ${summary.toUpdate} to update, ${summary.invalidRows} invalid`);
+  } catch (err) { next(err); }
+};
+
+// GET /assets/import/:importId - Get a preview (or committed result)
+exports.getImport = async (req, res, next) => {
+  try {
+    const batch = await findBatch(req).lean();
+    if (!batch) return send(res, 404, null, 'Import not found or expired');
+    send(res, 200, batchView(batch), 'Import retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /assets/import/:importId/commit - Insert the valid rows of a preview
+exports.commitImport = async (req, res, next) => {
+  try {
+    const skipInvalid = req.body.skipInvalid !== false && req.body.skipInvalid !== 'false';
+
+    const batch = await findBatch(req);
+    if (!batch) return send(res, 404, null, 'Import not found or expired');
+    if (batch.status === 'committed') return send(res, 409, batchView(batch), 'Import already committed');
+    if (batch.summary.invalidRows && !skipInvalid) {
+      return send(res, 400, batch.summary, 'File has invalid rows; fix them or commit with skipInvalid');
+    }
+
+    // Claim the batch first so a double-click can't insert twice
+    const claimed = await ImportBatch.updateOne({ _id: batch._id, status: 'preview' }, { status: 'committed' });
+    if (!claimed.modifiedCount) return send(res, 409, null, 'Import already committed');
+
+    const rows = batch.rows.map(r => ({ ...r }));
+    const { inserted, ...result } = await importer.commitRows(rows, req.user, {
+      source: 'excel', fileName: batch.fileName, importId: batch._id
+    }, commitOptions(req.user));
+
+    Object.assign(batch, {
+      status: 'committed',
+      rows,
+      result: { ...result, skippedInvalid: batch.summary.invalidRows, skippedEmptyRows: batch.summary.emptyRows },
+      committedAt: new Date(),
+      expiresAt: new Date(Date.now() + COMMITTED_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    batch.markModified('rows');
+    await batch.save();
+
+    send(res, 201, { ...batch.result, rows: rowResults(rows) },
+      `Import committed: ${result.created} created, ${result.updated} updated, ${result.failed} failed`);
+  } catch (err) { next(err); }
+};
+
+// GET /assets/import/:importId/report - Download the rows annotated with errors/warnings (?all=true for every row)
+exports.downloadImportReport = async (req, res, next) => {
+  try {
+    const batch = await findBatch(req).lean();
+    if (!batch) return send(res, 404, null, 'Import not found or expired');
+
+    const rows = batch.rows.filter(r => !r.empty &&
+      (req.query.all === 'true' || r.errors.length || r.warnings.length || r.result === 'failed'));
+    const columns = [
+      { field: 'row', header: 'Row' },
+      { field: 'outcome', header: 'Result' },
+      { field: 'errors', header: 'Errors' },
+      { field: 'warnings', header: 'Warnings' },
+      { field: 'changes', header: 'Changes' },
+      { field: 'serialNumber', header: 'Serial Number' },
+      ...batch.headers.map((header, i) => ({ field: `col${i}`, header }))
+    ];
+    const docs = rows.map(r => ({
+      row: r.row,
+      outcome: r.result || (r.errors.length ? 'invalid' : batch.status === 'committed' ? 'skipped' : r.action),
+      errors: [...r.errors, ...(r.message ? [r.message] : [])].join('; '),
+      warnings: r.warnings.join('; '),
+      changes: (r.changes || []).map(c => `${c.field}: ${c.before ?? ''} -> ${c.after ?? ''}`).join('; '),
+      serialNumber: r.serialNumber || '',
+      ...Object.fromEntries(r.raw.map((value, i) => [`col${i}`, value]))
+    }));
+
+    await exporter.sendXlsx(res, docs, columns, exporter.stamp('import-report'), null, { sheetName: 'Import Report' });
+  } catch (err) { next(err); }
+};
+
+// POST /assets/upload-excel - One-step import: analyze and write valid rows immediately (mode, matchBy)
+exports.uploadExcel = async (req, res, next) => {
+  try {
+    if (!req.file) return send(res, 400, null, 'Please upload an Excel file');
+
+    const options = readOptions(req.body);
+    const sheet = importer.parseWorkbook(req.file.buffer);
+    const { rows, summary } = await importer.analyze(sheet, analysisOptions(options, req.user));
+    if (summary.emptyRows === summary.totalRows) return sendNoRows(res, sheet.headers);
+
+    const { inserted, ...result } = await importer.commitRows(rows, req.user, {
+      source: 'excel', fileName: req.file.originalname
+    }, commitOptions(req.user));
+    const failed = result.failed + summary.invalidRows;
+
+    send(res, 201, {
+      totalRows: summary.totalRows,
+      ...result,
+      failed,
+      skippedEmptyRows: summary.emptyRows,
+      invalidRows: rows.filter(r => r.errors.length).map(r => ({ row: r.row, errors: r.errors })),
+      warnings: rows.filter(r => r.warnings.length).map(r => ({ row: r.row, warnings: r.warnings })),
+      rows: rowResults(rows)
+    }, `Excel processed: ${result.created} created, ${result.updated} updated, ${failed} failed`);
+  } catch (err) { next(err); }
+};
+
+// POST /assets/bulk - Bulk create (or update/upsert) assets from JSON (assets, mode, matchBy)
+exports.bulkCreateAssets = async (req, res, next) => {
+  try {
+    const { assets } = req.body;
+    if (!Array.isArray(assets) || !assets.length) {
+      return send(res, 400, null, 'Provide an array of assets');
+    }
+    if (assets.length > 1000) {
+      return send(res, 400, null, 'Maximum 1000 assets allowed per batch');
+    }
+
+    // createdBy comes from the authenticated user; directory names are linked like any import
+    const { rows, summary } = await importer.analyzeObjects(assets, analysisOptions(readOptions(req.body), req.user));
+    const { inserted, ...result } = await importer.commitRows(rows, req.user, { source: 'bulk' }, commitOptions(req.user));
+    const failed = result.failed + summary.invalidRows;
+
+    send(res, 201, {
+      ...result,
+      failed,
+      assets: inserted,
+      errors: rows.filter(r => r.errors.length || r.result === 'failed')
+        .map(r => ({ index: r.row, message: [...r.errors, r.message].filter(Boolean).join('; ') })),
+      results: rowResults(rows).map(({ row, ...r }) => ({ index: row, ...r }))
+    }, `${result.created} assets created, ${result.updated} updated, ${failed} failed`);
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,75 @@
+const Asset = require('../models/Asset.model');
+const ApiError = require('../utils/ApiError');
+const { canAccessAsset } = require('../config/permissions');
+const labels = require('../services/label.service');
+const { buildAssetQuery } = require('../services/asset.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const MAX_SHEET_LABELS = 1000;
+const LABEL_FIELDS = 'serialNumber companyName branch brand device';
+
+// Helper: Validate the label type (qr | code128)
+const labelType = (type = 'qr') => {
+  if (!labels.SYMBOLOGIES[type]) {
+    throw ApiError.badRequest(`Unsupported label type. Use one of: ${Object.keys(labels.SYMBOLOGIES).join(', ')}`);
+  }
+  return type;
+};
+
+// GET /assets/:id/label?type=qr|code128&format=png|svg&scale=3 - Label image for an asset's serial number
+exports.getAssetLabel = async (req, res, next) => {
+  try {
+    const { format = 'png', scale } = req.query;
+    const type = labelType(req.query.type);
+    if (!labels.IMAGE_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${labels.IMAGE_FORMATS.join(', ')}`);
+    }
+
+    const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false }).select('serialNumber createdBy').lean();
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+
+    const { body, contentType } = await labels.renderImage(asset.serialNumber, {
+      type, format, scale: Math.max(1, Math.min(10, parseInt(scale, 10) || 3))
+    });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${asset.serialNumber}-${type}.${format}"`);
+    res.send(body);
+  } catch (err) { next(err); }
+};
+
+// GET /assets/labels?type=qr&columns=3&rows=8 - Printable PDF label sheet for the assets matching
+// the list filters (or ids=a,b,c), ordered by serial number
+exports.getLabelSheet = async (req, res, next) => {
+  try {
+    const { type: requestedType, columns, rows, ids, ...filters } = req.query;
+    const type = labelType(requestedType);
+
+    const query = await buildAssetQuery(filters, req.user);
+    if (ids) query._id = { $in: ids.split(',').map(id => id.trim()).filter(Boolean) };
+
+    const total = await Asset.countDocuments(query);
+    if (total > MAX_SHEET_LABELS) {
+      return send(res, 400, null, `${total} assets match; narrow the filters to at most ${MAX_SHEET_LABELS} labels per sheet`);
+    }
+
+    const cursor = Asset.find(query).sort({ serialNumber: 1 }).select(LABEL_FIELDS).lean().cursor();
+    await labels.streamSheet(res, cursor, { type, columns, rows, filename: `labels-${type}` });
+  } catch (err) { next(err); }
+};
+
+// GET /s/:serialNumber - Short lookup a scanned label resolves to: the asset with that serial number
+exports.scanLookup = async (req, res, next) => {
+  try {
+    const asset = await Asset.findOne({ serialNumber: req.params.serialNumber.trim().toUpperCase(), isDeleted: false })
+      .populate('createdBy employeeId', 'username name employeeCode')
+      .lean();
+    if (!asset) return send(res, 404, null, 'No asset with this serial number');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+    send(res, 200, asset, 'Asset retrieved');
+  } catch (err) { next(err); }
+};
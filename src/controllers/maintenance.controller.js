@@ -0,0 +1,273 @@
+const Asset = require('../models/Asset.model');
+const MaintenanceTicket = require('../models/MaintenanceTicket.model');
+const ApiError = require('../utils/ApiError');
+const { canAccessAsset } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const webhooks = require('../services/webhook.service');
+const { escapeRegex } = require('../services/search.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const MAINTENANCE_STATUS = 'Under Maintenance';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fields tickets can be listed by
+const SORT_FIELDS = ['openedAt', 'closedAt', 'cost', 'serialNumber', 'vendor', 'companyName', 'branch', 'status', 'createdAt', 'updatedAt'];
+
+// Helper: Build the ticket filter from query params (shared by listing and cost summaries)
+const buildTicketQuery = (params) => {
+  const { status, asset, serialNumber, vendor, search, dateFrom, dateTo } = params;
+  const query = {};
+
+  // Exact match filters (support comma-separated multiple values)
+  ['branch', 'companyName'].forEach(f => {
+    if (params[f]) {
+      const values = params[f].split(',').map(v => v.trim()).filter(Boolean);
+      query[f] = values.length > 1 ? { $in: values } : values[0];
+    }
+  });
+
+  if (status) query.status = status;
+  if (asset) query.asset = asset;
+  if (serialNumber) query.serialNumber = serialNumber.toUpperCase();
+  if (vendor) query.vendor = new RegExp(escapeRegex(vendor), 'i');
+
+  // Date range on when the ticket was opened
+  if (dateFrom || dateTo) {
+    query.openedAt = {};
+    if (dateFrom) query.openedAt.$gte = new Date(dateFrom);
+    if (dateTo) query.openedAt.$lte = new Date(dateTo);
+  }
+
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ issue: regex }, { resolution: regex }, { notes: regex }];
+  }
+  return query;
+};
+
+// Helper: Move an asset to a new status and audit it against the ticket
+const setAssetStatus = async (asset, status, user, ticket) => {
+  const before = asset.status;
+  if (before === status) return;
+  asset.status = status;
+  await asset.save();
+  await audit.record(asset, 'update', user, {
+    changes: [{ field: 'status', before, after: status }],
+    meta: { maintenance: ticket._id }
+  });
+};
+
+// POST /assets/:id/maintenance - Open a ticket and put the asset under maintenance
+exports.openTicket = async (req, res, next) => {
+  try {
+    const { issue, vendor = '', cost = 0, openedAt, notes = '' } = req.body;
+
+    const asset = await Asset.findOne({ _id: req.params.id, isDeleted: false });
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (['Disposed', 'Lost'].includes(asset.status)) {
+      return send(res, 400, null, `Cannot open a maintenance ticket for an asset that is ${asset.status}`);
+    }
+    if (await MaintenanceTicket.exists({ asset: asset._id, status: 'open' })) {
+      throw ApiError.conflict('Asset already has an open maintenance ticket');
+    }
+
+    const ticket = await MaintenanceTicket.create({
+      asset: asset._id,
+      serialNumber: asset.serialNumber,
+      companyName: asset.companyName,
+      branch: asset.branch,
+      branchId: asset.branchId,
+      issue,
+      vendor,
+      cost,
+      notes,
+      // An asset flagged by hand before tickets existed goes back to Active when this one closes
+      previousStatus: asset.status === MAINTENANCE_STATUS ? 'Active' : asset.status,
+      openedAt: openedAt ? new Date(openedAt) : new Date(),
+      openedBy: req.user._id
+    });
+    await setAssetStatus(asset, MAINTENANCE_STATUS, req.user, ticket);
+    webhooks.emit('asset.maintenance_opened', asset, {
+      ticket: { _id: ticket._id, issue: ticket.issue, vendor: ticket.vendor, openedAt: ticket.openedAt }
+    });
+
+    send(res, 201, ticket, 'Maintenance ticket opened');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/:id/maintenance - Maintenance history of an asset, newest first
+exports.getAssetTickets = async (req, res, next) => {
+  try {
+    const asset = await Asset.findById(req.params.id).select('createdBy').lean();
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+
+    const tickets = await MaintenanceTicket.find({ asset: asset._id })
+      .sort({ openedAt: -1 })
+      .populate('openedBy closedBy', 'username name')
+      .lean();
+
+    const totalCost = tickets.reduce((sum, t) => sum + (t.cost || 0), 0);
+    send(res, 200, { tickets, totalCost }, 'Maintenance tickets retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /maintenance - List tickets with filters and pagination
+exports.getTickets = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, sortBy = 'openedAt', order = 'desc', ...params } = req.query;
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return send(res, 400, null, `Cannot sort by ${sortBy}. Use one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const query = buildTicketQuery(params);
+
+    const [tickets, total] = await Promise.all([
+      MaintenanceTicket.find(query)
+        .sort({ [sortBy]: order === 'asc' ? 1 : -1, _id: order === 'asc' ? 1 : -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate('openedBy closedBy', 'username name')
+        .lean(),
+      MaintenanceTicket.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / pageLimit);
+    send(res, 200, {
+      tickets,
+      pagination: { currentPage, totalPages, totalItems: total, itemsPerPage: pageLimit }
+    }, 'Maintenance tickets retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /maintenance/:id - Get one ticket
+exports.getTicket = async (req, res, next) => {
+  try {
+    const ticket = await MaintenanceTicket.findById(req.params.id)
+      .populate('openedBy closedBy', 'username name')
+      .lean();
+    if (!ticket) return send(res, 404, null, 'Maintenance ticket not found');
+    send(res, 200, ticket, 'Maintenance ticket retrieved');
+  } catch (err) { next(err); }
+};
+
+// PUT /maintenance/:id - Update ticket details (issue, vendor, cost, notes, resolution)
+exports.updateTicket = async (req, res, next) => {
+  try {
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+    if (!ticket) return send(res, 404, null, 'Maintenance ticket not found');
+
+    ['issue', 'vendor', 'cost', 'notes', 'resolution'].forEach(f => {
+      if (req.body[f] !== undefined) ticket[f] = req.body[f];
+    });
+    await ticket.save();
+    send(res, 200, ticket, 'Maintenance ticket updated');
+  } catch (err) { next(err); }
+};
+
+// POST /maintenance/:id/close - Close a ticket and return the asset to its prior status
+exports.closeTicket = async (req, res, next) => {
+  try {
+    const { resolution, cost, closedAt, vendor, notes } = req.body;
+
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+    if (!ticket) return send(res, 404, null, 'Maintenance ticket not found');
+    if (ticket.status === 'closed') return send(res, 400, null, 'Maintenance ticket is already closed');
+
+    const when = closedAt ? new Date(closedAt) : new Date();
+    if (when < ticket.openedAt) return send(res, 400, null, 'closedAt cannot be before the ticket was opened');
+
+    Object.assign(ticket, {
+      status: 'closed',
+      resolution,
+      closedAt: when,
+      closedBy: req.user._id,
+      ...(cost !== undefined && { cost }),
+      ...(vendor !== undefined && { vendor }),
+      ...(notes !== undefined && { notes })
+    });
+    await ticket.save();
+
+    // Leave the asset alone if someone moved it out of maintenance meanwhile (e.g. disposed it)
+    const asset = await Asset.findOne({ _id: ticket.asset, isDeleted: false });
+    if (asset && asset.status === MAINTENANCE_STATUS) {
+      await setAssetStatus(asset, ticket.previousStatus, req.user, ticket);
+    }
+
+    send(res, 200, { ticket, assetStatus: asset?.status ?? null }, 'Maintenance ticket closed');
+  } catch (err) { next(err); }
+};
+
+// Helper: Cast a ticket filter for aggregation (aggregate skips schema casting)
+const matchTickets = (params) => ({ $match: MaintenanceTicket.find().cast(MaintenanceTicket, buildTicketQuery(params)) });
+
+// Helper: Cost accumulators shared by the summaries
+const costGroup = {
+  tickets: { $sum: 1 },
+  open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+  totalCost: { $sum: '$cost' },
+  avgCost: { $avg: '$cost' },
+  avgDaysToClose: { $avg: { $cond: [{ $eq: ['$status', 'closed'] }, { $divide: [{ $subtract: ['$closedAt', '$openedAt'] }, DAY_MS] }, null] } },
+  lastOpenedAt: { $max: '$openedAt' }
+};
+
+// Helper: Round averages for display
+const round = (row) => ({
+  ...row,
+  avgCost: row.avgCost == null ? null : Math.round(row.avgCost * 100) / 100,
+  avgDaysToClose: row.avgDaysToClose == null ? null : Math.round(row.avgDaysToClose * 10) / 10
+});
+
+// GET /maintenance/summary/assets - Maintenance cost per asset, most expensive first (ticket filters apply)
+exports.getAssetCostSummary = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, ...params } = req.query;
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+    const [result] = await MaintenanceTicket.aggregate([
+      matchTickets(params),
+      { $sort: { openedAt: 1 } }, // so $last picks the latest location
+      {
+        $group: {
+          _id: '$asset',
+          serialNumber: { $last: '$serialNumber' },
+          branch: { $last: '$branch' },
+          companyName: { $last: '$companyName' },
+          ...costGroup
+        }
+      },
+      {
+        $facet: {
+          assets: [{ $sort: { totalCost: -1, _id: 1 } }, { $skip: (currentPage - 1) * pageLimit }, { $limit: pageLimit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    send(res, 200, {
+      assets: result.assets.map(({ _id, ...row }) => round({ asset: _id, ...row })),
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Maintenance cost per asset retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /maintenance/summary/branches - Maintenance cost per branch (ticket filters apply)
+exports.getBranchCostSummary = async (req, res, next) => {
+  try {
+    const branches = await MaintenanceTicket.aggregate([
+      matchTickets(req.query),
+      { $group: { _id: { companyName: '$companyName', branch: '$branch' }, assets: { $addToSet: '$asset' }, ...costGroup } },
+      { $sort: { totalCost: -1 } }
+    ]);
+
+    send(res, 200, branches.map(({ _id, assets, ...row }) => round({ ..._id, assets: assets.length, ...row })),
+      'Maintenance cost per branch retrieved');
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,109 @@
+const User = require('../models/User.model');
+const NotificationPreference = require('../models/NotificationPreference.model');
+const notifications = require('../services/notification.service');
+const templates = require('../utils/emailTemplates');
+const { MAIL_ENABLED } = require('../config/environment');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const PREFERENCE_FIELDS = [...NotificationPreference.NOTIFICATION_TYPES, 'companyName', 'branch'];
+const DIGEST_FORMATS = ['json', 'html'];
+
+// Helper: Preferences as shown in responses, with the address they go to
+const view = (email, prefs) => ({
+  email,
+  ...Object.fromEntries([...PREFERENCE_FIELDS, 'lastDigestAt'].map(f => [f, prefs[f]]))
+});
+
+// GET /notifications/preferences - The caller's email address and subscriptions
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const [user, prefs] = await Promise.all([
+      User.findById(req.user._id).select('email').lean(),
+      notifications.getPreferences(req.user)
+    ]);
+    send(res, 200, view(user.email, prefs), 'Notification preferences retrieved');
+  } catch (err) { next(err); }
+};
+
+// PUT /notifications/preferences - Set the caller's email address and subscriptions
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (req.body.email !== undefined) {
+      user.email = req.body.email;
+      await user.save();
+    }
+
+    const updates = Object.fromEntries(PREFERENCE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+    // A first save keeps the role's default for the subscriptions it doesn't set
+    const defaults = Object.fromEntries(Object.entries(notifications.defaultSubscriptions(user)).filter(([f]) => !(f in updates)));
+    const prefs = await NotificationPreference.findOneAndUpdate(
+      { user: user._id },
+      { $set: updates, $setOnInsert: defaults },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    ).lean();
+    send(res, 200, view(user.email, prefs), 'Notification preferences updated');
+  } catch (err) { next(err); }
+};
+
+// GET /notifications/digest/preview?format=json|html - The caller's weekly digest as it would be sent now
+exports.previewDigest = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!DIGEST_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${DIGEST_FORMATS.join(', ')}`);
+    }
+
+    const prefs = await notifications.getPreferences(req.user);
+    const digest = await notifications.buildDigest(req.user, prefs);
+    if (format === 'html') {
+      return res.type('html').send(templates.digest({ user: req.user, ...digest }).html);
+    }
+    send(res, 200, digest, 'Digest preview built');
+  } catch (err) { next(err); }
+};
+
+// POST /notifications/test - Email a test message to the caller's address
+exports.sendTest = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('username name email').lean();
+    if (!user.email) return send(res, 400, null, 'Set an email address first (PUT /notifications/preferences)');
+    if (!MAIL_ENABLED) return send(res, 400, null, 'Email is disabled on this server (MAIL_ENABLED=false)');
+
+    try {
+      const info = await notifications.sendTest(user);
+      send(res, 200, { to: user.email, messageId: info.messageId, response: info.response }, 'Test email sent');
+    } catch (err) {
+      send(res, 502, null, `Test email failed: ${err.message}`);
+    }
+  } catch (err) { next(err); }
+};
+
+// GET /notifications/subscribers - Users with an email address and their subscriptions (admin)
+exports.getSubscribers = async (req, res, next) => {
+  try {
+    const users = await User.find({ email: { $ne: null } }).select('username name role email').sort({ username: 1 }).lean();
+    const saved = await NotificationPreference.find({ user: { $in: users.map(u => u._id) } }).lean();
+    const prefsByUser = new Map(saved.map(p => [String(p.user), p]));
+
+    const subscribers = users.map(({ email, ...user }) => ({
+      ...user,
+      ...view(email, { ...notifications.defaultPreferences(user), ...prefsByUser.get(String(user._id)) })
+    }));
+    send(res, 200, subscribers, 'Notification subscribers retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /notifications/digest/send - Send the weekly digest now to subscribers who haven't had this
+// week's (with force: to every subscriber) (admin)
+exports.sendDigests = async (req, res, next) => {
+  try {
+    if (!MAIL_ENABLED) return send(res, 400, null, 'Email is disabled on this server (MAIL_ENABLED=false)');
+    const result = await notifications.sendDigests({ force: req.body.force === true });
+    send(res, 200, result, `${result.sent} digest(s) sent${result.failed.length ? `, ${result.failed.length} failed` : ''}`);
+  } catch (err) { next(err); }
+};
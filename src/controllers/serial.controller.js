@@ -0,0 +1,101 @@
+const SerialFormat = require('../models/SerialFormat.model');
+const Company = require('../models/Company.model');
+const serials = require('../services/serial.service');
+const ApiError = require('../utils/ApiError');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const FORMAT_FIELDS = ['prefix', 'template', 'padding', 'period'];
+
+// Helper: Pick the format fields present in the request body
+const formatFields = (body) => Object.fromEntries(FORMAT_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+// Helper: Reject a change that would leave any format unable to produce unique numbers.
+// Changing the default affects every company format that inherits from it.
+const checkFormats = async (changed) => {
+  const others = await SerialFormat.find({ _id: { $ne: changed._id } }).lean();
+  const merged = [...others, changed];
+  const defaults = merged.find(f => !f.company);
+  merged.forEach(f => serials.checkFormat(serials.effectiveFormat(defaults, f.company ? f : null)));
+};
+
+// GET /serial-formats - Default format and company overrides with their effective formats
+exports.getFormats = async (req, res, next) => {
+  try {
+    const defaults = await serials.getDefaultFormat();
+    const formats = await SerialFormat.find({ company: { $ne: null } }).populate('company', 'name').lean();
+    const companies = formats
+      .map(f => ({ ...f, effective: serials.effectiveFormat(defaults, f) }))
+      .sort((a, b) => (a.company?.name || '').localeCompare(b.company?.name || ''));
+    send(res, 200, { default: defaults, companies }, 'Serial formats retrieved');
+  } catch (err) { next(err); }
+};
+
+// PUT /serial-formats/default - Update the default format
+exports.updateDefaultFormat = async (req, res, next) => {
+  try {
+    const format = await SerialFormat.findById((await serials.getDefaultFormat())._id);
+    Object.assign(format, formatFields(req.body));
+    await format.validate();
+    await checkFormats(format.toObject());
+    await format.save();
+    send(res, 200, format, 'Default serial format updated');
+  } catch (err) { next(err); }
+};
+
+// POST /serial-formats - Set a company's prefix (and optionally its own template, padding, period)
+exports.createFormat = async (req, res, next) => {
+  try {
+    if (!(await Company.exists({ _id: req.body.company }))) throw ApiError.badRequest('Company not found');
+    if (await SerialFormat.exists({ company: req.body.company })) {
+      throw ApiError.conflict('This company already has a serial format');
+    }
+
+    const format = new SerialFormat({ company: req.body.company, ...formatFields(req.body) });
+    await format.validate();
+    await checkFormats(format.toObject());
+    await format.save();
+    send(res, 201, format, 'Serial format created');
+  } catch (err) { next(err); }
+};
+
+// PUT /serial-formats/:id - Update a company format; null clears a field back to the default
+exports.updateFormat = async (req, res, next) => {
+  try {
+    const format = await SerialFormat.findOne({ _id: req.params.id, company: { $ne: null } });
+    if (!format) return send(res, 404, null, 'Serial format not found');
+
+    Object.assign(format, formatFields(req.body));
+    await format.validate();
+    await checkFormats(format.toObject());
+    await format.save();
+    send(res, 200, format, 'Serial format updated');
+  } catch (err) { next(err); }
+};
+
+// DELETE /serial-formats/:id - Remove a company format (the company falls back to the default)
+exports.deleteFormat = async (req, res, next) => {
+  try {
+    const format = await SerialFormat.findById(req.params.id);
+    if (!format) return send(res, 404, null, 'Serial format not found');
+    if (!format.company) throw ApiError.badRequest('The default serial format cannot be deleted');
+
+    await format.deleteOne();
+    send(res, 200, null, 'Serial format deleted');
+  } catch (err) { next(err); }
+};
+
+// GET /serial-formats/preview?companyName=&count= - Next serial numbers for a company, without taking them
+exports.previewSerials = async (req, res, next) => {
+  try {
+    const { companyName = 'NA' } = req.query;
+    const count = Math.max(1, Math.min(20, parseInt(req.query.count) || 1));
+
+    const format = (await serials.loadFormatResolver())(companyName);
+    const upcoming = await serials.peek(format, count);
+    send(res, 200, { companyName, format, next: upcoming }, 'Serial number preview');
+  } catch (err) { next(err); }
+};
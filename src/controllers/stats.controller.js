@@ -0,0 +1,228 @@
+const Asset = require('../models/Asset.model');
+const AuditLog = require('../models/AuditLog.model');
+const MaintenanceTicket = require('../models/MaintenanceTicket.model');
+const ApiError = require('../utils/ApiError');
+const lifecycle = require('../services/lifecycle.service');
+const { buildAssetQuery, aggregateMatch } = require('../services/asset.service');
+const { hasTextSearch } = require('../services/search.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+// Dimensions assets can be grouped by -> aggregation expression
+const DIMENSIONS = {
+  companyName: '$companyName',
+  branch: '$branch',
+  department: '$department',
+  device: '$device',
+  brand: '$brand',
+  status: '$status',
+  operatingSystem: '$operatingSystem',
+  purchaseYear: { $year: '$dateOfPurchase' }
+};
+
+// Age buckets by years since dateOfPurchase (upper bound exclusive; null = open-ended)
+const AGE_BUCKETS = [
+  { label: '<1y', maxYears: 1 },
+  { label: '1-2y', maxYears: 2 },
+  { label: '2-3y', maxYears: 3 },
+  { label: '3-5y', maxYears: 5 },
+  { label: '5y+', maxYears: null }
+];
+
+const MAX_TREND_MONTHS = 60;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Helper: Count per value of one expression, largest first
+const countBy = (match, expr) => Asset.aggregate([
+  match,
+  { $group: { _id: expr, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+]);
+
+// Helper: $group key placing each asset in an AGE_BUCKETS label ('unknown' without a purchase date)
+const ageBucketExpr = (now) => ({
+  $switch: {
+    branches: [
+      { case: { $ne: [{ $type: '$dateOfPurchase' }, 'date'] }, then: 'unknown' },
+      ...AGE_BUCKETS.filter(b => b.maxYears).map(b => ({
+        case: { $gt: ['$dateOfPurchase', new Date(now.getTime() - b.maxYears * YEAR_MS)] },
+        then: b.label
+      }))
+    ],
+    default: AGE_BUCKETS[AGE_BUCKETS.length - 1].label
+  }
+});
+
+// GET /assets/stats/overview - Totals per status, breakdowns, age distribution and expiring-soon counts
+// (all GET /assets filters apply)
+exports.getAssetStats = async (req, res, next) => {
+  try {
+    const match = aggregateMatch(await buildAssetQuery(req.query, req.user));
+    const now = new Date();
+
+    // Run all aggregations in parallel for better performance
+    const [byStatus, byDevice, byCompany, byBranch, byDepartment, ages, expiring] = await Promise.all([
+      countBy(match, '$status'),
+      countBy(match, '$device'),
+      countBy(match, '$companyName'),
+      countBy(match, '$branch'),
+      countBy(match, '$department'),
+      Asset.aggregate([
+        match,
+        {
+          $group: {
+            _id: ageBucketExpr(now),
+            count: { $sum: 1 },
+            totalAgeMs: { $sum: { $cond: [{ $eq: [{ $type: '$dateOfPurchase' }, 'date'] }, { $subtract: [now, '$dateOfPurchase'] }, 0] } }
+          }
+        }
+      ]),
+      Asset.aggregate([
+        match,
+        { $match: { status: { $nin: lifecycle.RETIRED_STATUSES } } },
+        { $group: { _id: null, ...lifecycle.expiryBreakdown(now) } }
+      ])
+    ]);
+
+    const statusCount = (status) => byStatus.find(s => s._id === status)?.count || 0;
+    const overview = {
+      total: byStatus.reduce((sum, s) => sum + s.count, 0),
+      active: statusCount('Active'),
+      inactive: statusCount('Inactive'),
+      maintenance: statusCount('Under Maintenance'),
+      disposed: statusCount('Disposed'),
+      lost: statusCount('Lost')
+    };
+
+    // Age buckets in order, including empty ones
+    const dated = ages.filter(a => a._id !== 'unknown');
+    const datedCount = dated.reduce((sum, a) => sum + a.count, 0);
+    const ageDistribution = {
+      buckets: [...AGE_BUCKETS.map(b => b.label), 'unknown'].map(label => ({
+        label, count: ages.find(a => a._id === label)?.count || 0
+      })),
+      averageAgeYears: datedCount
+        ? Math.round(dated.reduce((sum, a) => sum + a.totalAgeMs, 0) / datedCount / YEAR_MS * 10) / 10
+        : null
+    };
+
+    send(res, 200, {
+      overview,
+      byStatus,
+      byDevice,
+      byCompany,
+      byBranch,
+      byDepartment,
+      ageDistribution,
+      expiringSoon: lifecycle.formatBreakdown(expiring[0])
+    }, 'Statistics retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/stats/group?by=branch,device - Asset counts grouped by one or two dimensions (list filters apply)
+exports.getGroupedStats = async (req, res, next) => {
+  try {
+    const { by, ...filters } = req.query;
+    const dimensions = (by || '').split(',').map(d => d.trim()).filter(Boolean);
+    if (!dimensions.length || dimensions.length > 2 || new Set(dimensions).size !== dimensions.length) {
+      throw ApiError.badRequest('by must name one or two different dimensions, e.g. by=branch,device');
+    }
+    const unknown = dimensions.filter(d => !DIMENSIONS[d]);
+    if (unknown.length) {
+      throw ApiError.badRequest(`Unknown dimension(s): ${unknown.join(', ')}. Use ${Object.keys(DIMENSIONS).join(', ')}`);
+    }
+
+    const groups = await Asset.aggregate([
+      aggregateMatch(await buildAssetQuery(filters, req.user)),
+      { $group: { _id: Object.fromEntries(dimensions.map(d => [d, DIMENSIONS[d]])), count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    const rows = groups.map(g => ({ ...g._id, count: g.count }));
+    send(res, 200, {
+      dimensions,
+      groups: rows,
+      total: rows.reduce((sum, r) => sum + r.count, 0)
+    }, 'Grouped statistics retrieved');
+  } catch (err) { next(err); }
+};
+
+// Helper: Month keys ("YYYY-MM", UTC) from the month of `from` through the month of `to`
+const monthKeys = (from, to) => {
+  const keys = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to && keys.length < MAX_TREND_MONTHS) {
+    keys.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return keys;
+};
+
+// Helper: Parse a month ("2025-01") or date query value
+const parseMonth = (value, name) => {
+  const date = new Date(/^\d{4}-\d{2}$/.test(value) ? `${value}-01` : value);
+  if (isNaN(date.getTime())) throw ApiError.badRequest(`Invalid ${name} date`);
+  return date;
+};
+
+// Helper: Count documents per month of a date field
+const monthly = (dateField) => ({
+  $group: { _id: { $dateToString: { format: '%Y-%m', date: `$${dateField}` } }, count: { $sum: 1 } }
+});
+
+// Helper: Stages keeping only events whose asset matches the asset filter. $text only works in the
+// first stage of a pipeline on assets, so searches resolve the matching asset IDs up front.
+const joinAssets = async (assetQuery) => {
+  if (hasTextSearch(assetQuery)) {
+    return [{ $match: { asset: { $in: await Asset.distinct('_id', assetQuery) } } }];
+  }
+  return [
+    { $lookup: { from: Asset.collection.name, localField: 'asset', foreignField: '_id', as: 'asset' } },
+    { $unwind: '$asset' },
+    aggregateMatch(assetQuery, 'asset.')
+  ];
+};
+
+// GET /assets/stats/trends - Assets added, disposed and sent to maintenance per month
+// (from/to as YYYY-MM or dates, default the last 12 months; list filters apply)
+exports.getTrends = async (req, res, next) => {
+  try {
+    const { from, to, ...filters } = req.query;
+    const now = new Date();
+    const end = to ? parseMonth(to, 'to') : now;
+    const start = from ? parseMonth(from, 'from') : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 11, 1));
+    if (start > end) throw ApiError.badRequest('from must be before to');
+
+    const months = monthKeys(start, end);
+    const rangeStart = new Date(`${months[0]}-01T00:00:00Z`);
+    const lastMonth = new Date(`${months[months.length - 1]}-01T00:00:00Z`);
+    const rangeEnd = new Date(Date.UTC(lastMonth.getUTCFullYear(), lastMonth.getUTCMonth() + 1, 1));
+    const inRange = { $gte: rangeStart, $lt: rangeEnd };
+
+    const assetQuery = await buildAssetQuery(filters, req.user);
+    const assetStages = await joinAssets(assetQuery);
+    const [added, disposed, maintenance] = await Promise.all([
+      Asset.aggregate([aggregateMatch(assetQuery), { $match: { createdAt: inRange } }, monthly('createdAt')]),
+      // Disposals are status changes to Disposed in the audit trail
+      AuditLog.aggregate([
+        { $match: { action: 'update', createdAt: inRange, changes: { $elemMatch: { field: 'status', after: 'Disposed' } } } },
+        ...assetStages,
+        monthly('createdAt')
+      ]),
+      MaintenanceTicket.aggregate([{ $match: { openedAt: inRange } }, ...assetStages, monthly('openedAt')])
+    ]);
+
+    const series = (counts) => {
+      const byMonth = new Map(counts.map(c => [c._id, c.count]));
+      return months.map(month => byMonth.get(month) || 0);
+    };
+
+    send(res, 200, {
+      months,
+      series: { added: series(added), disposed: series(disposed), maintenance: series(maintenance) }
+    }, 'Trends retrieved');
+  } catch (err) { next(err); }
+};
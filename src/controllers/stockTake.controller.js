@@ -0,0 +1,408 @@
+const Asset = require('../models/Asset.model');
+const StockTake = require('../models/StockTake.model');
+const StockTakeItem = require('../models/StockTakeItem.model');
+const User = require('../models/User.model');
+const ApiError = require('../utils/ApiError');
+const { can } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const exporter = require('../services/export.service');
+const notifications = require('../services/notification.service');
+const { escapeRegex } = require('../services/search.service');
+const transfers = require('../services/transfer.service');
+
+const { SCAN_RESULTS } = StockTakeItem;
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const SCOPE_FIELDS = ['companyName', 'branch', 'department'];
+const PEOPLE_FIELDS = 'username name';
+const SNAPSHOT_FIELDS = 'serialNumber deviceSerialNo companyName branch department userName device brand status';
+// Assets in these states are not expected on the shelf
+const EXCLUDED_STATUSES = ['Disposed', 'Lost'];
+const LOST_STATUS = 'Lost';
+const MAX_BATCH_SCANS = 500;
+
+// Reconciliation report columns
+const REPORT_COLUMNS = {
+  result: 'Result',
+  serialNumber: 'Serial Number',
+  deviceSerialNo: 'Device Serial No',
+  companyName: 'Company Name',
+  branch: 'Branch',
+  department: 'Department',
+  foundDepartment: 'Found In',
+  userName: 'User Name',
+  device: 'Device',
+  brand: 'Brand',
+  assetStatus: 'Asset Status',
+  scannedCode: 'Scanned Code',
+  scannedAt: 'Scanned At',
+  scannedBy: 'Scanned By',
+  note: 'Note'
+};
+
+// Helper: The session's scope as an asset filter
+const scopeQuery = (session) => Object.fromEntries(SCOPE_FIELDS.filter(f => session[f]).map(f => [f, session[f]]));
+
+// Helper: Whether an asset lies inside the session's scope
+const inScope = (asset, session) => SCOPE_FIELDS.every(f => !session[f] || asset[f] === session[f]);
+
+// Helper: Item fields copied from an asset
+const snapshot = (asset) => ({
+  asset: asset._id,
+  serialNumber: asset.serialNumber,
+  deviceSerialNo: asset.deviceSerialNo,
+  companyName: asset.companyName,
+  branch: asset.branch,
+  department: asset.department,
+  userName: asset.userName,
+  device: asset.device,
+  brand: asset.brand,
+  assetStatus: asset.status
+});
+
+// Helper: Stock-take managers see every session, auditors the ones they are on
+const canWork = (session, user) =>
+  can(user, 'stockTake:manage') || session.auditors.some(a => String(a._id || a) === String(user._id));
+
+// Helper: Load a session the caller may work on, or answer 404/403
+const findSession = async (id, user) => {
+  const session = await StockTake.findById(id);
+  if (!session) throw ApiError.notFound('Stock-take not found');
+  if (!canWork(session, user)) throw ApiError.forbidden();
+  return session;
+};
+
+// Helper: Sessions only change while open
+const assertOpen = (session) => {
+  if (session.status !== 'open') throw ApiError.badRequest(`Stock-take is ${session.status}`);
+};
+
+// Helper: Every listed auditor must be an existing user
+const checkAuditors = async (auditors) => {
+  const ids = [...new Set((auditors || []).map(String))];
+  if (ids.length && await User.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    throw ApiError.badRequest('auditors must be existing user IDs');
+  }
+  return ids;
+};
+
+// Helper: Item count per result, including zeros
+const countResults = async (sessionId) => {
+  const groups = await StockTakeItem.aggregate([
+    { $match: { stockTake: sessionId } },
+    { $group: { _id: '$result', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(SCAN_RESULTS.map(r => [r, groups.find(g => g._id === r)?.count || 0]));
+};
+
+// Helper: Progress figures of a session from its result counts
+const progress = (session, counts) => {
+  const checked = counts.found + counts.wrong_location + counts.missing;
+  return {
+    expected: session.expectedCount,
+    checked,
+    percentChecked: session.expectedCount ? Math.round(checked / session.expectedCount * 1000) / 10 : 100
+  };
+};
+
+// Helper: Record one scan. `code` is a serialNumber or deviceSerialNo; an explicit `result` overrides
+// the classification (found/wrong_location for expected assets, missing for an expected asset the
+// auditor confirms is gone). Returns { item, duplicate }.
+const recordScan = async (session, { code, department, result, note }, user) => {
+  const scanned = String(code).trim().toUpperCase();
+  if (!scanned || scanned === 'NA') throw ApiError.badRequest('code is required');
+  const codeMatch = { $or: [{ serialNumber: scanned }, { deviceSerialNo: scanned }] };
+
+  // Serial number matches win over device serial matches
+  const items = await StockTakeItem.find({ stockTake: session._id, ...codeMatch }).sort({ expected: -1 });
+  let item = items.find(i => i.serialNumber === scanned) || items[0];
+
+  if (!item) {
+    if (result === 'missing') throw ApiError.badRequest(`${scanned} is not an expected asset of this stock-take`);
+    const assets = await Asset.find({ isDeleted: false, ...codeMatch }).select(SNAPSHOT_FIELDS).lean();
+    const asset = assets.find(a => a.serialNumber === scanned) || assets[0];
+    item = new StockTakeItem({
+      stockTake: session._id,
+      expected: false,
+      ...(asset ? snapshot(asset) : { serialNumber: scanned }),
+      // Registered outside the scope: it belongs somewhere else. In scope but not expected (Lost,
+      // Disposed, added after the session opened) or not registered at all: unexpected.
+      result: asset && !inScope(asset, session) ? 'wrong_location' : 'unexpected'
+    });
+  } else if (item.expected) {
+    const elsewhere = department && item.department !== 'NA' && department.toLowerCase() !== item.department.toLowerCase();
+    item.result = result || (elsewhere ? 'wrong_location' : 'found');
+  } else if (result === 'missing') {
+    throw ApiError.badRequest(`${scanned} is not an expected asset of this stock-take`);
+  }
+
+  const duplicate = item.scanCount > 0;
+  if (result !== 'missing') {
+    Object.assign(item, { scannedCode: scanned, scannedAt: new Date(), scannedBy: user._id, scanCount: item.scanCount + 1 });
+    if (department) item.foundDepartment = department;
+  }
+  if (note !== undefined) item.note = note;
+  await item.save();
+  return { item, duplicate };
+};
+
+// GET /stock-takes - List sessions (status, companyName, branch, department, page, limit).
+// Auditors without stock-take permission only see sessions they are on.
+exports.getStockTakes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const query = {};
+    SCOPE_FIELDS.forEach(f => { if (req.query[f]) query[f] = req.query[f]; });
+    if (status) query.status = status;
+    if (!can(req.user, 'stockTake:manage')) query.auditors = req.user._id;
+
+    const [stockTakes, total] = await Promise.all([
+      StockTake.find(query)
+        .sort({ startedAt: -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate('startedBy closedBy', PEOPLE_FIELDS)
+        .lean(),
+      StockTake.countDocuments(query)
+    ]);
+
+    send(res, 200, {
+      stockTakes,
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Stock-takes retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /stock-takes - Open a session and snapshot the assets expected in its scope
+exports.createStockTake = async (req, res, next) => {
+  try {
+    const { name, notes = '' } = req.body;
+    const scope = Object.fromEntries(SCOPE_FIELDS.map(f => [f, req.body[f] || null]));
+    const auditors = await checkAuditors(req.body.auditors);
+
+    if (await StockTake.exists({ ...scope, status: 'open' })) {
+      throw ApiError.conflict('A stock-take is already open for this scope');
+    }
+
+    const session = await StockTake.create({ name, notes, ...scope, auditors, startedBy: req.user._id });
+    try {
+      const assets = await Asset.find({ isDeleted: false, status: { $nin: EXCLUDED_STATUSES }, ...scopeQuery(session) })
+        .select(SNAPSHOT_FIELDS)
+        .lean();
+      await StockTakeItem.insertMany(assets.map(a => ({ stockTake: session._id, ...snapshot(a) })));
+      session.expectedCount = assets.length;
+      await session.save();
+    } catch (err) {
+      // Don't leave a half-built session blocking its scope
+      await Promise.all([StockTake.deleteOne({ _id: session._id }), StockTakeItem.deleteMany({ stockTake: session._id })]);
+      throw err;
+    }
+
+    send(res, 201, session, `Stock-take opened with ${session.expectedCount} expected assets`);
+  } catch (err) { next(err); }
+};
+
+// GET /stock-takes/:id - Get a session with its result counts and progress
+exports.getStockTake = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    await session.populate('startedBy closedBy auditors', PEOPLE_FIELDS);
+    const counts = await countResults(session._id);
+    send(res, 200, { ...session.toObject(), counts, progress: progress(session, counts) }, 'Stock-take retrieved');
+  } catch (err) { next(err); }
+};
+
+// PUT /stock-takes/:id - Rename an open session, change its notes or auditors
+exports.updateStockTake = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    assertOpen(session);
+
+    if (req.body.auditors !== undefined) session.auditors = await checkAuditors(req.body.auditors);
+    ['name', 'notes'].forEach(f => {
+      if (req.body[f] !== undefined) session[f] = req.body[f];
+    });
+    await session.save();
+    send(res, 200, session, 'Stock-take updated');
+  } catch (err) { next(err); }
+};
+
+// GET /stock-takes/:id/items - Session lines (result, expected, search, page, limit), by serial number
+exports.getItems = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, result, expected, search } = req.query;
+    const session = await findSession(req.params.id, req.user);
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(200, parseInt(limit) || 50));
+    const query = { stockTake: session._id };
+    if (result) {
+      const results = result.split(',').map(r => r.trim()).filter(Boolean);
+      query.result = results.length > 1 ? { $in: results } : results[0];
+    }
+    if (expected !== undefined) query.expected = expected === 'true';
+    if (search) {
+      const regex = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ serialNumber: regex }, { deviceSerialNo: regex }, { userName: regex }, { brand: regex }];
+    }
+
+    const [items, total] = await Promise.all([
+      StockTakeItem.find(query)
+        .sort({ serialNumber: 1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate('scannedBy', PEOPLE_FIELDS)
+        .lean(),
+      StockTakeItem.countDocuments(query)
+    ]);
+
+    send(res, 200, {
+      items,
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Stock-take items retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /stock-takes/:id/scans - Record a scan ({ code, department, result, note }) or a batch
+// ({ scans: [...] }, answered per scan)
+exports.recordScans = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    assertOpen(session);
+
+    if (!Array.isArray(req.body.scans)) {
+      const { item, duplicate } = await recordScan(session, req.body, req.user);
+      return send(res, duplicate ? 200 : 201, { item, duplicate }, `Scan recorded as ${item.result}`);
+    }
+
+    // Batches (e.g. uploaded from a handheld scanner) keep going past bad codes
+    const results = [];
+    for (const scan of req.body.scans.slice(0, MAX_BATCH_SCANS)) {
+      try {
+        const { item, duplicate } = await recordScan(session, scan, req.user);
+        results.push({ code: scan.code, result: item.result, item: item._id, duplicate });
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        results.push({ code: scan.code, error: err.message });
+      }
+    }
+    const failed = results.filter(r => r.error).length;
+    send(res, 200, { results, recorded: results.length - failed, failed }, 'Scans recorded');
+  } catch (err) { next(err); }
+};
+
+// POST /stock-takes/:id/close - Close a session: unscanned expected assets become missing and,
+// with markLost, missing assets are set to Lost
+exports.closeStockTake = async (req, res, next) => {
+  try {
+    const { markLost = false, note = '' } = req.body;
+    const session = await findSession(req.params.id, req.user);
+    assertOpen(session);
+
+    await StockTakeItem.updateMany({ stockTake: session._id, result: 'pending' }, { result: 'missing' });
+
+    const lost = [];
+    if (markLost) {
+      const missing = await StockTakeItem.distinct('asset', { stockTake: session._id, result: 'missing', asset: { $ne: null } });
+      // Skip assets that left the register or were disposed/lost while the session was open, and
+      // assets on an open transfer (missing here because they are on their way elsewhere)
+      const [assets, inTransfer] = await Promise.all([
+        Asset.find({ _id: { $in: missing }, isDeleted: false, status: { $nin: EXCLUDED_STATUSES } }),
+        transfers.assetsInTransfer(missing)
+      ]);
+      for (const asset of assets.filter(a => !inTransfer.has(String(a._id)))) {
+        const before = asset.status;
+        asset.status = LOST_STATUS;
+        await asset.save();
+        await audit.record(asset, 'update', req.user, {
+          changes: [{ field: 'status', before, after: LOST_STATUS }],
+          meta: { stockTake: session._id }
+        });
+        lost.push({ asset, previousStatus: before });
+      }
+      notifications.alertLost(lost, req.user, { source: `stock-take "${session.name}"` });
+    }
+
+    const counts = await countResults(session._id);
+    Object.assign(session, {
+      status: 'closed',
+      closedAt: new Date(),
+      closedBy: req.user._id,
+      closingNote: note,
+      summary: counts,
+      markedLost: lost.length
+    });
+    await session.save();
+
+    send(res, 200, { stockTake: session, counts, markedLost: lost.length }, 'Stock-take closed');
+  } catch (err) { next(err); }
+};
+
+// POST /stock-takes/:id/cancel - Abandon an open session (its scans are kept, no asset changes)
+exports.cancelStockTake = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    assertOpen(session);
+
+    Object.assign(session, { status: 'cancelled', closedAt: new Date(), closedBy: req.user._id, closingNote: req.body.note || '' });
+    await session.save();
+    send(res, 200, session, 'Stock-take cancelled');
+  } catch (err) { next(err); }
+};
+
+// Helper: Cell formatter for the report export
+const reportCell = (field, value) => {
+  if (field === 'scannedBy') return value ? value.name || value.username : '';
+  return value;
+};
+
+// GET /stock-takes/:id/report - Reconciliation report: counts per result and every line with
+// exceptions first (format=json|xlsx|csv). Open sessions report pending lines as they stand.
+exports.getReport = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+    }
+    const session = await findSession(req.params.id, req.user);
+    const counts = await countResults(session._id);
+
+    // Exceptions (missing, wrong location, unexpected) before pending and found lines
+    const order = ['missing', 'wrong_location', 'unexpected', 'pending', 'found'];
+    const items = (await StockTakeItem.find({ stockTake: session._id })
+      .sort({ serialNumber: 1 })
+      .populate('scannedBy', PEOPLE_FIELDS)
+      .lean())
+      .sort((a, b) => order.indexOf(a.result) - order.indexOf(b.result));
+
+    if (format === 'json') {
+      return send(res, 200, {
+        stockTake: session,
+        counts,
+        progress: progress(session, counts),
+        items
+      }, 'Reconciliation report retrieved');
+    }
+
+    const columns = exporter.resolveColumns(null, REPORT_COLUMNS);
+    const summaryRows = [
+      ['Stock-take', session.name],
+      ...SCOPE_FIELDS.filter(f => session[f]).map(f => [REPORT_COLUMNS[f], session[f]]),
+      ['Status', session.status],
+      ['Started At', session.startedAt],
+      ['Closed At', session.closedAt || ''],
+      ['Expected', session.expectedCount],
+      ...order.map(r => [r, counts[r]]),
+      ['Marked Lost', session.markedLost]
+    ];
+    await exporter.sendFile(format, res, items, columns, exporter.stamp('stock-take'), reportCell,
+      { sheetName: 'Reconciliation', extraSheets: [{ name: 'Summary', rows: summaryRows }] });
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,398 @@
+const Asset = require('../models/Asset.model');
+const TransferRequest = require('../models/TransferRequest.model');
+const User = require('../models/User.model');
+const ApiError = require('../utils/ApiError');
+const { can, canAccessAsset } = require('../config/permissions');
+const audit = require('../services/audit.service');
+const directory = require('../services/directory.service');
+const exporter = require('../services/export.service');
+const transfers = require('../services/transfer.service');
+const webhooks = require('../services/webhook.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const PEOPLE = 'requestedBy receiver history.by';
+const PEOPLE_FIELDS = 'username name';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Assets in these states stay where they are
+const IMMOVABLE_STATUSES = ['Disposed', 'Lost'];
+
+// In-transit report columns (one row per asset)
+const IN_TRANSIT_COLUMNS = {
+  serialNumber: 'Serial Number',
+  device: 'Device',
+  brand: 'Brand',
+  fromCompanyName: 'From Company',
+  fromBranch: 'From Branch',
+  department: 'From Department',
+  toCompanyName: 'To Company',
+  toBranch: 'To Branch',
+  toDepartment: 'To Department',
+  dispatchedAt: 'Dispatched At',
+  expectedArrival: 'Expected Arrival',
+  daysInTransit: 'Days in Transit',
+  overdue: 'Overdue',
+  carrier: 'Carrier',
+  trackingNumber: 'Tracking Number',
+  requestedBy: 'Requested By',
+  transfer: 'Transfer ID'
+};
+
+// Helper: Build the transfer filter from query params (shared by listing and the in-transit report)
+const buildTransferQuery = (params) => {
+  const { status, asset, serialNumber, dateFrom, dateTo } = params;
+  const query = {};
+
+  // Exact match filters (support comma-separated multiple values)
+  ['fromCompanyName', 'fromBranch', 'toCompanyName', 'toBranch'].forEach(f => {
+    if (params[f]) {
+      const values = params[f].split(',').map(v => v.trim()).filter(Boolean);
+      query[f] = values.length > 1 ? { $in: values } : values[0];
+    }
+  });
+
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    query.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+  if (asset) query['assets.asset'] = asset;
+  if (serialNumber) query['assets.serialNumber'] = serialNumber.toUpperCase();
+
+  // Date range on when the transfer was requested
+  if (dateFrom || dateTo) {
+    query.requestedAt = {};
+    if (dateFrom) query.requestedAt.$gte = new Date(dateFrom);
+    if (dateTo) query.requestedAt.$lte = new Date(dateTo);
+  }
+  return query;
+};
+
+// Helper: Load a transfer or answer 404
+const findTransfer = async (id) => {
+  const transfer = await TransferRequest.findById(id);
+  if (!transfer) throw ApiError.notFound('Transfer request not found');
+  return transfer;
+};
+
+// Helper: Whether the user is one of the transfer's parties (requester or named receiver)
+const isParty = (transfer, user) =>
+  [transfer.requestedBy, transfer.receiver].some(u => u && String(u._id || u) === String(user._id));
+
+// Helper: Check a transfer is in one of the given statuses
+const assertStatus = (transfer, ...statuses) => {
+  if (!statuses.includes(transfer.status)) {
+    throw ApiError.badRequest(`Transfer is ${transfer.status.replace('_', ' ')}`);
+  }
+};
+
+// Helper: Move a transfer to a status, recording who did it
+const step = (transfer, status, user, note = '') => {
+  transfer.status = status;
+  transfer.history.push({ status, by: user._id, at: new Date(), note });
+};
+
+// POST /transfers - Request a transfer of assets (all at one branch) to another branch
+exports.requestTransfer = async (req, res, next) => {
+  try {
+    const { toCompanyName, toBranch, toDepartment, reason = '', receiver = null } = req.body;
+    const ids = [...new Set(req.body.assets.map(String))];
+
+    const assets = await Asset.find({ _id: { $in: ids }, isDeleted: false });
+    if (assets.length !== ids.length) {
+      const found = new Set(assets.map(a => String(a._id)));
+      return send(res, 404, null, `Asset(s) not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+    }
+    if (assets.some(a => !canAccessAsset(req.user, 'update', a))) throw ApiError.forbidden();
+
+    const immovable = assets.filter(a => IMMOVABLE_STATUSES.includes(a.status));
+    if (immovable.length) {
+      return send(res, 400, null, `Cannot transfer ${immovable.map(a => `${a.serialNumber} (${a.status})`).join(', ')}`);
+    }
+    const inTransfer = await transfers.assetsInTransfer(ids);
+    if (inTransfer.size) {
+      const serials = assets.filter(a => inTransfer.has(String(a._id))).map(a => a.serialNumber);
+      throw ApiError.conflict(`Already on an open transfer: ${serials.join(', ')}`);
+    }
+
+    const [source] = assets;
+    if (assets.some(a => a.companyName !== source.companyName || a.branch !== source.branch)) {
+      return send(res, 400, null, 'All assets of a transfer must be at the same company and branch');
+    }
+
+    // Destination names in their directory spelling
+    const destination = {
+      companyName: toCompanyName || source.companyName,
+      branch: toBranch,
+      ...(toDepartment && { department: toDepartment })
+    };
+    directory.applyDirectory(await directory.loadResolver(), destination, { companyId: source.companyId });
+    if (destination.companyName === source.companyName && destination.branch === source.branch) {
+      return send(res, 400, null, 'The destination must be another branch');
+    }
+
+    if (receiver && !(await User.exists({ _id: receiver }))) return send(res, 400, null, 'receiver must be an existing user ID');
+
+    const transfer = new TransferRequest({
+      assets: assets.map(a => ({ asset: a._id, serialNumber: a.serialNumber, device: a.device, brand: a.brand, department: a.department })),
+      fromCompanyName: source.companyName,
+      fromBranch: source.branch,
+      toCompanyName: destination.companyName,
+      toBranch: destination.branch,
+      toDepartment: destination.department || null,
+      reason,
+      receiver,
+      requestedBy: req.user._id
+    });
+    step(transfer, 'requested', req.user, reason);
+    await transfer.save();
+
+    send(res, 201, transfer, 'Transfer requested');
+  } catch (err) { next(err); }
+};
+
+// GET /transfers - List transfers with filters and pagination (approvers see all, others the
+// ones they requested or are to receive)
+exports.getTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, order = 'desc', ...params } = req.query;
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const query = buildTransferQuery(params);
+    if (!can(req.user, 'transfer:approve')) query.$or = [{ requestedBy: req.user._id }, { receiver: req.user._id }];
+
+    const [requests, total] = await Promise.all([
+      TransferRequest.find(query)
+        .sort({ requestedAt: order === 'asc' ? 1 : -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .populate('requestedBy receiver', PEOPLE_FIELDS)
+        .lean(),
+      TransferRequest.countDocuments(query)
+    ]);
+
+    send(res, 200, {
+      transfers: requests,
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Transfer requests retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /transfers/:id - Get one transfer with the user at each step
+exports.getTransfer = async (req, res, next) => {
+  try {
+    const transfer = await TransferRequest.findById(req.params.id).populate(PEOPLE, PEOPLE_FIELDS).lean();
+    if (!transfer) return send(res, 404, null, 'Transfer request not found');
+    if (!can(req.user, 'transfer:approve') && !isParty(transfer, req.user)) throw ApiError.forbidden();
+    send(res, 200, transfer, 'Transfer request retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /assets/:id/transfers - Transfers of an asset, newest first
+exports.getAssetTransfers = async (req, res, next) => {
+  try {
+    const asset = await Asset.findById(req.params.id).select('createdBy').lean();
+    if (!asset) return send(res, 404, null, 'Asset not found');
+    if (!canAccessAsset(req.user, 'read', asset)) throw ApiError.forbidden();
+
+    const requests = await TransferRequest.find({ 'assets.asset': asset._id })
+      .sort({ requestedAt: -1 })
+      .populate(PEOPLE, PEOPLE_FIELDS)
+      .lean();
+    send(res, 200, requests, 'Transfer requests retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /transfers/:id/approve - Approve a requested transfer (not by its requester)
+exports.approveTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    assertStatus(transfer, 'requested');
+    if (transfer.requestedBy.equals(req.user._id)) throw ApiError.forbidden('You cannot approve your own transfer request');
+
+    step(transfer, 'approved', req.user, req.body.note);
+    await transfer.save();
+    send(res, 200, transfer, 'Transfer approved');
+  } catch (err) { next(err); }
+};
+
+// POST /transfers/:id/reject - Reject a requested transfer with a note
+exports.rejectTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    assertStatus(transfer, 'requested');
+    if (transfer.requestedBy.equals(req.user._id)) throw ApiError.forbidden('You cannot reject your own transfer request');
+
+    step(transfer, 'rejected', req.user, req.body.note);
+    await transfer.save();
+    send(res, 200, transfer, 'Transfer rejected');
+  } catch (err) { next(err); }
+};
+
+// POST /transfers/:id/dispatch - Hand an approved transfer to the carrier (requester or approver)
+exports.dispatchTransfer = async (req, res, next) => {
+  try {
+    const { carrier, trackingNumber, expectedArrival, dispatchedAt, note } = req.body;
+
+    const transfer = await findTransfer(req.params.id);
+    if (!transfer.requestedBy.equals(req.user._id) && !can(req.user, 'transfer:approve')) throw ApiError.forbidden();
+    assertStatus(transfer, 'approved');
+
+    const when = dispatchedAt ? new Date(dispatchedAt) : new Date();
+    if (expectedArrival && new Date(expectedArrival) < when) {
+      return send(res, 400, null, 'expectedArrival cannot be before the dispatch date');
+    }
+
+    Object.assign(transfer, {
+      dispatchedAt: when,
+      ...(carrier !== undefined && { carrier }),
+      ...(trackingNumber !== undefined && { trackingNumber }),
+      ...(expectedArrival && { expectedArrival: new Date(expectedArrival) })
+    });
+    step(transfer, 'in_transit', req.user, note);
+    await transfer.save();
+    send(res, 200, transfer, 'Transfer dispatched');
+  } catch (err) { next(err); }
+};
+
+// POST /transfers/:id/receive - Confirm receipt at the destination (receiver or approver): the
+// assets take the destination company, branch and department
+exports.receiveTransfer = async (req, res, next) => {
+  try {
+    const { receivedAt, note } = req.body;
+
+    const transfer = await findTransfer(req.params.id);
+    if (!can(req.user, 'transfer:approve') && !(transfer.receiver && transfer.receiver.equals(req.user._id))) {
+      throw ApiError.forbidden('Only the receiver or an approver can confirm receipt');
+    }
+    assertStatus(transfer, 'in_transit');
+
+    const when = receivedAt ? new Date(receivedAt) : new Date();
+    if (when < transfer.dispatchedAt) return send(res, 400, null, 'receivedAt cannot be before the dispatch date');
+
+    // Move the assets first and close the transfer last: if a save fails the transfer stays in transit,
+    // and receiving it again skips the assets that already moved. Assets deleted, disposed or lost while
+    // in transit stay where they are and are reported as skipped.
+    const resolver = await directory.loadResolver();
+    const found = await Asset.find({ _id: { $in: transfer.assets.map(a => a.asset) }, isDeleted: false });
+    const assets = found.filter(a => !IMMOVABLE_STATUSES.includes(a.status));
+    for (const asset of assets) {
+      const updates = {
+        companyName: transfer.toCompanyName,
+        branch: transfer.toBranch,
+        ...(transfer.toDepartment && { department: transfer.toDepartment })
+      };
+      directory.applyDirectory(resolver, updates);
+
+      const before = asset.toObject({ flattenMaps: true });
+      Object.assign(asset, updates);
+      const changes = audit.diff(before, asset.toObject({ flattenMaps: true }), Object.keys(updates));
+      if (!changes.length) continue;
+      await asset.save();
+      await audit.record(asset, 'update', req.user, { changes, meta: { transfer: transfer._id } });
+    }
+
+    transfer.receivedAt = when;
+    step(transfer, 'received', req.user, note);
+    await transfer.save();
+
+    webhooks.emit('asset.transferred', assets, {
+      transfer: {
+        _id: transfer._id,
+        fromCompanyName: transfer.fromCompanyName,
+        fromBranch: transfer.fromBranch,
+        toCompanyName: transfer.toCompanyName,
+        toBranch: transfer.toBranch,
+        receivedAt: when
+      }
+    });
+
+    const moved = new Set(assets.map(a => String(a._id)));
+    send(res, 200, {
+      transfer,
+      skipped: transfer.assets.filter(a => !moved.has(String(a.asset))).map(a => a.serialNumber)
+    }, 'Transfer received');
+  } catch (err) { next(err); }
+};
+
+// POST /transfers/:id/cancel - Withdraw a transfer before dispatch (requester or approver)
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    if (!transfer.requestedBy.equals(req.user._id) && !can(req.user, 'transfer:approve')) throw ApiError.forbidden();
+    assertStatus(transfer, 'requested', 'approved');
+
+    step(transfer, 'cancelled', req.user, req.body.note);
+    await transfer.save();
+    send(res, 200, transfer, 'Transfer cancelled');
+  } catch (err) { next(err); }
+};
+
+// Helper: One in-transit report row per asset on a transfer
+const inTransitRows = (transfer, now) => {
+  const daysInTransit = Math.floor((now - transfer.dispatchedAt) / DAY_MS);
+  const overdue = Boolean(transfer.expectedArrival && transfer.expectedArrival < now);
+  return transfer.assets.map(a => ({
+    ...a,
+    transfer: transfer._id,
+    fromCompanyName: transfer.fromCompanyName,
+    fromBranch: transfer.fromBranch,
+    toCompanyName: transfer.toCompanyName,
+    toBranch: transfer.toBranch,
+    toDepartment: transfer.toDepartment || a.department,
+    dispatchedAt: transfer.dispatchedAt,
+    expectedArrival: transfer.expectedArrival,
+    daysInTransit,
+    overdue,
+    carrier: transfer.carrier,
+    trackingNumber: transfer.trackingNumber,
+    requestedBy: transfer.requestedBy
+  }));
+};
+
+// Helper: Cell formatter for the in-transit export
+const inTransitCell = (field, value) => {
+  if (field === 'requestedBy') return value ? value.name || value.username : '';
+  if (field === 'overdue') return value ? 'Yes' : 'No';
+  if (field === 'transfer') return String(value);
+  return value;
+};
+
+// GET /transfers/in-transit - Assets dispatched and not yet received, longest in transit first
+// (fromBranch, toBranch, fromCompanyName, toCompanyName, serialNumber, overdue=true, format=json|xlsx|csv)
+exports.getInTransit = async (req, res, next) => {
+  try {
+    const { format = 'json', overdue, ...params } = req.query;
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return send(res, 400, null, `Unsupported format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const now = new Date();
+    const { status, dateFrom, dateTo, ...filters } = params;
+    const query = { ...buildTransferQuery(filters), status: 'in_transit' };
+    if (overdue === 'true') query.expectedArrival = { $lt: now };
+
+    const requests = await TransferRequest.find(query)
+      .sort({ dispatchedAt: 1 })
+      .populate('requestedBy', PEOPLE_FIELDS)
+      .lean();
+    let rows = requests.flatMap(t => inTransitRows(t, now));
+    if (filters.serialNumber) rows = rows.filter(r => r.serialNumber === filters.serialNumber.toUpperCase());
+
+    if (format === 'json') {
+      return send(res, 200, {
+        assets: rows,
+        total: rows.length,
+        transfers: requests.length,
+        overdue: rows.filter(r => r.overdue).length
+      }, 'In-transit assets retrieved');
+    }
+
+    const columns = exporter.resolveColumns(null, IN_TRANSIT_COLUMNS);
+    await exporter.sendFile(format, res, rows, columns, exporter.stamp('in-transit'), inTransitCell,
+      { sheetName: 'In Transit' });
+  } catch (err) { next(err); }
+};
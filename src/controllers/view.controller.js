@@ -0,0 +1,84 @@
+const SavedView = require('../models/SavedView.model');
+const ApiError = require('../utils/ApiError');
+const { can } = require('../config/permissions');
+const views = require('../services/view.service');
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const VIEW_FIELDS = ['name', 'description', 'filters', 'sortBy', 'order', 'columns', 'visibility', 'roles'];
+
+// Helper: Pick the view fields present in the request body; custom field filters are stored apart
+const viewFields = (body) => {
+  const fields = Object.fromEntries(VIEW_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+  return fields.filters ? { ...fields, ...views.splitFilters(fields.filters) } : fields;
+};
+
+// Helper: Only the owner (or an admin) may change or delete a view
+const assertCanEdit = (view, user) => {
+  if (!view.owner.equals(user._id) && !can(user, 'view:manage:any')) {
+    throw ApiError.forbidden('Only the owner can change this view');
+  }
+};
+
+// Helper: Flag views the caller owns
+const withOwnership = (view, user) => ({ ...views.present(view), isOwner: (view.owner._id || view.owner).equals(user._id) });
+
+// GET /views - Saved views the caller can see (scope=mine|shared narrows the list)
+exports.getViews = async (req, res, next) => {
+  try {
+    const { scope } = req.query;
+    const query = scope === 'mine'
+      ? { owner: req.user._id }
+      : { ...views.visibleTo(req.user), ...(scope === 'shared' && { owner: { $ne: req.user._id } }) };
+
+    const list = await SavedView.find(query).sort({ name: 1 }).populate('owner', 'username name').lean();
+    send(res, 200, list.map(v => withOwnership(v, req.user)), 'Saved views retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /views/:id - Get one saved view
+exports.getView = async (req, res, next) => {
+  try {
+    const view = await views.findVisible(req.params.id, req.user);
+    send(res, 200, withOwnership(view, req.user), 'Saved view retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /views - Save a view for the caller
+exports.createView = async (req, res, next) => {
+  try {
+    if (await SavedView.exists({ owner: req.user._id, name: req.body.name })) {
+      throw ApiError.conflict('You already have a view with this name');
+    }
+    const view = await SavedView.create({ ...viewFields(req.body), owner: req.user._id });
+    send(res, 201, views.present(view), 'Saved view created');
+  } catch (err) { next(err); }
+};
+
+// PUT /views/:id - Update a view (owner or admin)
+exports.updateView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) return send(res, 404, null, 'Saved view not found');
+    assertCanEdit(view, req.user);
+
+    Object.assign(view, viewFields(req.body));
+    await view.save();
+    send(res, 200, views.present(view), 'Saved view updated');
+  } catch (err) { next(err); }
+};
+
+// DELETE /views/:id - Delete a view (owner or admin)
+exports.deleteView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) return send(res, 404, null, 'Saved view not found');
+    assertCanEdit(view, req.user);
+
+    await view.deleteOne();
+    send(res, 200, null, 'Saved view deleted');
+  } catch (err) { next(err); }
+};
@@ -0,0 +1,157 @@
+const WebhookSubscription = require('../models/WebhookSubscription.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const ApiError = require('../utils/ApiError');
+const webhooks = require('../services/webhook.service');
+
+const { WEBHOOK_EVENTS } = WebhookSubscription;
+
+// Helper: Send JSON response
+const send = (res, status, data, message) => {
+  res.status(status).json({ success: status < 400, data, message });
+};
+
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'isActive'];
+
+// Helper: Pick the subscription fields present in the request body
+const webhookFields = (body) => Object.fromEntries(WEBHOOK_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+// Helper: Load a subscription or answer 404
+const findWebhook = async (id) => {
+  const webhook = await WebhookSubscription.findById(id);
+  if (!webhook) throw ApiError.notFound('Webhook not found');
+  return webhook;
+};
+
+// Helper: Delivery as shown in responses (payload only on the detail view)
+const summary = ({ payload, ...delivery }) => ({ ...delivery, attemptCount: delivery.attempts.length });
+
+// GET /webhooks/events - Event types a webhook can subscribe to
+exports.getEvents = (req, res) => send(res, 200, WEBHOOK_EVENTS, 'Webhook events retrieved');
+
+// GET /webhooks - List subscriptions
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.event) query.events = req.query.event;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const subscriptions = await WebhookSubscription.find(query).sort({ name: 1 }).populate('createdBy', 'username name').lean();
+    send(res, 200, subscriptions, 'Webhooks retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /webhooks - Create a subscription (the signing secret is returned only here and on rotation)
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const secret = req.body.secret || webhooks.generateSecret();
+    const webhook = await WebhookSubscription.create({ ...webhookFields(req.body), secret, createdBy: req.user._id });
+    send(res, 201, { ...webhook.toObject(), secret }, 'Webhook created');
+  } catch (err) { next(err); }
+};
+
+// GET /webhooks/:id - Get a subscription with delivery counts
+exports.getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id).populate('createdBy', 'username name').lean();
+    if (!webhook) return send(res, 404, null, 'Webhook not found');
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscription: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const deliveries = Object.fromEntries(WebhookDelivery.DELIVERY_STATUSES.map(s => [s, counts.find(c => c._id === s)?.count || 0]));
+    send(res, 200, { ...webhook, deliveries }, 'Webhook retrieved');
+  } catch (err) { next(err); }
+};
+
+// PUT /webhooks/:id - Update name, url, events, description or isActive
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    Object.assign(webhook, webhookFields(req.body));
+    await webhook.save();
+    send(res, 200, webhook, 'Webhook updated');
+  } catch (err) { next(err); }
+};
+
+// DELETE /webhooks/:id - Delete a subscription and its delivery log
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!webhook) return send(res, 404, null, 'Webhook not found');
+    await WebhookDelivery.deleteMany({ subscription: webhook._id });
+    send(res, 200, null, 'Webhook deleted');
+  } catch (err) { next(err); }
+};
+
+// POST /webhooks/:id/rotate-secret - Replace the signing secret (returned once)
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    const secret = req.body.secret || webhooks.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+    send(res, 200, { _id: webhook._id, secret }, 'Webhook secret rotated');
+  } catch (err) { next(err); }
+};
+
+// POST /webhooks/:id/test - Send a signed "ping" now and return the delivery result
+exports.testWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    const delivery = await webhooks.testFire(webhook);
+    const [last] = delivery.attempts.slice(-1);
+    send(res, 200, delivery, delivery.status === 'succeeded'
+      ? `Ping delivered (HTTP ${last.responseStatus})`
+      : `Ping failed: ${last.error || `HTTP ${last.responseStatus}`}`);
+  } catch (err) { next(err); }
+};
+
+// GET /webhooks/:id/deliveries - Delivery log, newest first (status, event, page, limit)
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, event } = req.query;
+    const webhook = await findWebhook(req.params.id);
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const query = { subscription: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageLimit)
+        .limit(pageLimit)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    send(res, 200, {
+      deliveries: deliveries.map(summary),
+      pagination: { currentPage, totalPages: Math.ceil(total / pageLimit), totalItems: total, itemsPerPage: pageLimit }
+    }, 'Webhook deliveries retrieved');
+  } catch (err) { next(err); }
+};
+
+// GET /webhooks/:id/deliveries/:deliveryId - One delivery with its payload and every attempt
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id }).lean();
+    if (!delivery) return send(res, 404, null, 'Delivery not found');
+    send(res, 200, delivery, 'Webhook delivery retrieved');
+  } catch (err) { next(err); }
+};
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a logged payload again
+exports.redeliver = async (req, res, next) => {
+  try {
+    const previous = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id }).lean();
+    if (!previous) return send(res, 404, null, 'Delivery not found');
+
+    const delivery = await webhooks.redeliver(previous);
+    const messages = { succeeded: 'Redelivered', pending: 'Redelivery failed; it will be retried', failed: 'Redelivery failed' };
+    send(res, 201, summary(delivery.toObject()), messages[delivery.status]);
+  } catch (err) { next(err); }
+};
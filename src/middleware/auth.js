@@ -0,0 +1,40 @@
+const User = require('../models/User.model');
+const ApiError = require('../utils/ApiError');
+const { verifyAccessToken } = require('../utils/token');
+const { can } = require('../config/permissions');
+
+// Helper: Resolve the user from a bearer token (null when no token is sent)
+const authenticate = async (req) => {
+  if (!req.headers.authorization) return null;
+  const [scheme, token] = req.headers.authorization.split(' ');
+  if (scheme !== 'Bearer' || !token) throw ApiError.unauthorized('Access token missing');
+
+  const payload = verifyAccessToken(token);
+  const user = await User.findById(payload.sub).select('username name role').lean();
+  if (!user) throw ApiError.unauthorized('User no longer exists');
+  return user;
+};
+
+// Require a valid "Authorization: Bearer <accessToken>" header and attach req.user
+exports.protect = async (req, res, next) => {
+  try {
+    const user = await authenticate(req);
+    if (!user) throw ApiError.unauthorized('Access token missing');
+    req.user = user;
+    next();
+  } catch (err) { next(err); }
+};
+
+// Attach req.user when a token is sent, but allow anonymous requests
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    req.user = await authenticate(req);
+    next();
+  } catch (err) { next(err); }
+};
+
+// Allow the request if the user's role grants any of the given actions (use after protect)
+exports.authorize = (...actions) => (req, res, next) => {
+  if (actions.some(action => can(req.user, action))) return next();
+  next(ApiError.forbidden());
+};
@@ -1,4 +1,7 @@
 module.exports = (err, req, res, next) => {
+  // Response already streaming (e.g. file export): let Express abort the connection
+  if (res.headersSent) return next(err);
+
   let status = err.statusCode || 500;
   let message = err.message || 'Server Error';
 
@@ -7,6 +10,10 @@ module.exports = (err, req, res, next) => {
   if (err.code === 11000) { status = 409; message = `Duplicate: ${Object.keys(err.keyValue)[0]}`; }
   if (err.name === 'ValidationError') { status = 400; message = Object.values(err.errors).map(e => e.message).join(', '); }
 
+  // JWT errors
+  if (err.name === 'TokenExpiredError') { status = 401; message = 'Token expired'; }
+  if (err.name === 'JsonWebTokenError') { status = 401; message = 'Invalid token'; }
+
   res.status(status).json({
     success: false,
     message,
@@ -1,7 +1,11 @@
 const { body, validationResult } = require('express-validator');
+const Asset = require('../../models/Asset.model');
+const customFields = require('../../services/customField.service');
+const { FILTER_PARAMS } = require('../../services/asset.service');
 
 const DEVICES = ['Desktop', 'Laptop', 'Tablet', 'Monitor', 'Printer', 'Scanner', 'Server', 'Network Device', 'Other'];
 const STATUSES = ['Active', 'Inactive', 'Under Maintenance', 'Disposed', 'Lost'];
+const DEPRECIATION_METHODS = ['straight_line', 'wdv'];
 
 // Validation check middleware
 const check = (req, res, next) => {
@@ -15,6 +19,89 @@ const check = (req, res, next) => {
 // Required field validator
 const required = (field) => body(field).notEmpty().withMessage(`${field} is required`).trim();
 
+// Optional directory references (companyId, branchId, departmentId, employeeId)
+const directoryRefs = (prefix = '') => ['companyId', 'branchId', 'departmentId', 'employeeId']
+  .map(field => body(`${prefix}${field}`).optional({ values: 'null' }).isMongoId().withMessage(`Invalid ${field}`));
+
+// Optional warranty / AMC / end of life fields (null clears a date or cost)
+const lifecycleRules = (prefix = '') => [
+  ...['warrantyStart', 'warrantyEnd', 'amcStart', 'amcEnd', 'endOfLife']
+    .map(field => body(`${prefix}${field}`).optional({ values: 'null' }).isISO8601().withMessage(`Invalid ${field} date`)),
+  ...['warrantyVendor', 'amcVendor', 'amcContractNo'].map(field => body(`${prefix}${field}`).optional().trim()),
+  body(`${prefix}amcCost`).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('amcCost must be a positive number')
+];
+
+// Optional purchase cost and depreciation fields
+const financeRules = (prefix = '') => [
+  ...['purchasePrice', 'salvageValue'].map(field =>
+    body(`${prefix}${field}`).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage(`${field} must be a positive number`)),
+  body(`${prefix}currency`).optional({ values: 'null' }).trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('currency must be a 3-letter code'),
+  body(`${prefix}invoiceNumber`).optional().trim(),
+  body(`${prefix}supplier`).optional().trim(),
+  body(`${prefix}depreciationMethod`).optional().isIn(DEPRECIATION_METHODS).withMessage(`depreciationMethod must be one of: ${DEPRECIATION_METHODS.join(', ')}`),
+  body(`${prefix}usefulLifeYears`).optional({ values: 'null' }).isFloat({ min: 0.5, max: 100 }).withMessage('usefulLifeYears must be between 0.5 and 100'),
+  body(`${prefix}depreciationRate`).optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('depreciationRate must be a percentage between 0 and 100')
+];
+
+// Custom field values, checked against the definitions for the asset's device type; the typed
+// values then replace req.body.customFields. Updates merge over the stored values, and a device
+// change re-checks them against the new type.
+const customFieldRules = ({ update = false } = {}) => body('customFields').custom(async (input, { req }) => {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw new Error('customFields must be an object');
+  }
+
+  let device = req.body.device;
+  let existing = {};
+  if (update) {
+    if (input === undefined && device === undefined) return true;
+    const asset = await Asset.findById(req.params.id).select('device customFields').lean();
+    if (!asset) return true; // the controller answers 404
+    device = device ?? asset.device;
+    existing = asset.customFields;
+  }
+  if (!device) return true; // reported by the device rule
+
+  const { values, errors } = customFields.checkValues(input, await customFields.definitionsFor(device), { existing });
+  if (errors.length) throw new Error(errors.join(', '));
+  req.customFieldValues = values;
+  return true;
+}).customSanitizer((value, { req }) => req.customFieldValues ?? value);
+
+// Update rules (all optional); prefix nests them, e.g. 'update.' for bulk updates
+const updateRules = (prefix = '') => [
+  body(`${prefix}serialNumber`).optional().trim(),
+  body(`${prefix}companyName`).optional().trim(),
+  body(`${prefix}branch`).optional().trim(),
+  body(`${prefix}department`).optional().trim(),
+  body(`${prefix}userName`).optional().trim(),
+  body(`${prefix}brand`).optional().trim(),
+  body(`${prefix}device`).optional().isIn(DEVICES).withMessage('Invalid device type'),
+  body(`${prefix}deviceSerialNo`).optional().trim(),
+  body(`${prefix}dateOfPurchase`).optional().isISO8601().withMessage('Invalid date'),
+  body(`${prefix}operatingSystem`).optional().trim(),
+  body(`${prefix}remark`).optional().trim().isLength({ max: 500 }),
+  body(`${prefix}status`).optional().isIn(STATUSES).withMessage('Invalid status'),
+  ...lifecycleRules(prefix),
+  ...financeRules(prefix),
+  ...directoryRefs(prefix)
+];
+
+// Whether a bulk filter sets at least one known list filter (an empty filter would select every asset)
+const narrowsAssets = (filter) => Object.entries(filter).some(([key, value]) =>
+  (FILTER_PARAMS.includes(key) || key.startsWith(customFields.FILTER_PREFIX)) &&
+  value != null && value !== '' && !(Array.isArray(value) && !value.length));
+
+// Bulk target: either a list of IDs or a getAllAssets-style filter object
+const bulkTarget = [
+  body('ids').optional().isArray({ min: 1, max: 1000 }).withMessage('ids must be an array of 1-1000 asset IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid asset ID'),
+  body('filter').optional().isObject().withMessage('filter must be an object')
+    .custom(narrowsAssets).withMessage(`filter needs at least one of: ${FILTER_PARAMS.join(', ')} or customFields.<key>`),
+  body().custom(({ ids, filter }) => Boolean(ids) !== Boolean(filter)).withMessage('Provide either ids or filter'),
+  body('dryRun').optional().isBoolean().toBoolean()
+];
+
 // Create asset validation
 exports.validateAsset = [
   required('serialNumber'),
@@ -28,23 +115,58 @@ exports.validateAsset = [
   body('dateOfPurchase').notEmpty().withMessage('Date of purchase is required').isISO8601().withMessage('Invalid date'),
   body('operatingSystem').optional().trim(),
   body('remark').optional().trim().isLength({ max: 500 }),
-  body('createdBy').notEmpty().withMessage('createdBy is required').isMongoId().withMessage('Invalid user ID'),
+  ...lifecycleRules(),
+  ...financeRules(),
+  ...directoryRefs(),
+  customFieldRules(),
   check
 ];
 
 // Update asset validation (all optional)
 exports.validateAssetUpdate = [
-  body('serialNumber').optional().trim(),
-  body('companyName').optional().trim(),
-  body('branch').optional().trim(),
-  body('department').optional().trim(),
-  body('userName').optional().trim(),
-  body('brand').optional().trim(),
-  body('device').optional().isIn(DEVICES).withMessage('Invalid device type'),
-  body('deviceSerialNo').optional().trim(),
-  body('dateOfPurchase').optional().isISO8601().withMessage('Invalid date'),
-  body('operatingSystem').optional().trim(),
-  body('remark').optional().trim().isLength({ max: 500 }),
-  body('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+  ...updateRules(),
+  customFieldRules({ update: true }),
+  check
+];
+
+// Bulk update validation: same rules as a single update, nested under "update"
+exports.validateBulkUpdate = [
+  ...bulkTarget,
+  body('update').isObject().withMessage('update must be an object')
+    .custom(update => Object.keys(update).length > 0).withMessage('update cannot be empty'),
+  body('update.serialNumber').not().exists().withMessage('serialNumber cannot be bulk updated'),
+  body('update.customFields').not().exists().withMessage('customFields cannot be bulk updated'),
+  ...updateRules('update.'),
+  check
+];
+
+// Bulk soft delete validation
+exports.validateBulkDelete = [
+  ...bulkTarget,
+  check
+];
+
+// Assign / reassign validation
+exports.validateAssignment = [
+  body('assignee').if(body('employeeId').not().exists()).notEmpty().withMessage('assignee or employeeId is required').trim(),
+  body('employeeId').optional().isMongoId().withMessage('Invalid employee ID'),
+  body('assignedAt').optional().isISO8601().withMessage('Invalid date'),
+  body('condition').optional().trim().isLength({ max: 500 }),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  check
+];
+
+// Return (check-in) validation
+exports.validateReturn = [
+  body('returnedAt').optional().isISO8601().withMessage('Invalid date'),
+  body('condition').optional().trim().isLength({ max: 500 }),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  check
+];
+
+// Bulk ID list validation (trash restore / purge)
+exports.validateIdList = [
+  body('ids').isArray({ min: 1, max: 1000 }).withMessage('ids must be an array of 1-1000 asset IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid asset ID'),
   check
 ];
@@ -0,0 +1,41 @@
+const { body, validationResult } = require('express-validator');
+const { DEVICE_TYPES } = require('../../models/Asset.model');
+const { CUSTOM_FIELD_TYPES } = require('../../models/CustomField.model');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const DEVICES = DEVICE_TYPES.filter(d => d !== 'NA');
+
+const options = () => [
+  body('options').optional().isArray({ min: 1 }).withMessage('options must be a non-empty array'),
+  body('options.*').isString().trim().notEmpty().withMessage('options must be non-empty strings')
+];
+
+// Create field validation
+exports.validateCreateField = [
+  body('device').isIn(DEVICES).withMessage(`device must be one of: ${DEVICES.join(', ')}`),
+  body('key').matches(/^[A-Za-z][A-Za-z0-9_]{0,39}$/)
+    .withMessage('key must start with a letter and contain only letters, digits and _ (max 40)'),
+  body('label').notEmpty().withMessage('label is required').trim().isLength({ max: 100 }),
+  body('type').isIn(CUSTOM_FIELD_TYPES).withMessage(`type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`),
+  body('options').if(body('type').equals('enum')).exists().withMessage('options are required for enum fields'),
+  ...options(),
+  body('required').optional().isBoolean().toBoolean(),
+  check
+];
+
+// Update field validation (device, key and type are fixed)
+exports.validateUpdateField = [
+  body(['device', 'key', 'type']).not().exists().withMessage('device, key and type cannot be changed; create a new field instead'),
+  body('label').optional().notEmpty().withMessage('label cannot be empty').trim().isLength({ max: 100 }),
+  ...options(),
+  body('required').optional().isBoolean().toBoolean(),
+  check
+];
@@ -0,0 +1,36 @@
+const { body, validationResult } = require('express-validator');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const ref = (field) => body(field).optional({ values: 'null' }).isMongoId().withMessage(`Invalid ${field} ID`);
+
+const common = (isCreate) => [
+  isCreate
+    ? body('name').notEmpty().withMessage('name is required').trim()
+    : body('name').optional().notEmpty().withMessage('name cannot be empty').trim(),
+  body('aliases').optional().isArray().withMessage('aliases must be an array'),
+  body('aliases.*').optional().isString().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+// Company / branch / department / employee validation (create and update)
+const build = (extra) => ({
+  create: [...common(true), ...extra, check],
+  update: [...common(false), ...extra, check]
+});
+
+exports.company = build([]);
+exports.branch = build([ref('company'), body('address').optional().trim()]);
+exports.department = build([ref('company')]);
+exports.employee = build([
+  ref('company'), ref('branch'), ref('department'),
+  body('employeeCode').optional({ values: 'falsy' }).trim(),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email').normalizeEmail()
+]);
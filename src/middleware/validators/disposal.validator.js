@@ -0,0 +1,42 @@
+const { body, validationResult } = require('express-validator');
+const { DISPOSAL_METHODS } = require('../../models/DisposalRequest.model');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const amount = (field) => body(field).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage(`${field} must be a positive number`).toFloat();
+const note = () => body('note').optional().trim().isLength({ max: 1000 }).withMessage('note must be at most 1000 characters');
+
+// Disposal request validation
+exports.validateDisposalRequest = [
+  body('method').isIn(DISPOSAL_METHODS).withMessage(`method must be one of: ${DISPOSAL_METHODS.join(', ')}`),
+  body('reason').notEmpty().withMessage('reason is required').trim().isLength({ max: 1000 }),
+  amount('expectedValue'),
+  check
+];
+
+// Approval validation
+exports.validateApproval = [
+  body('disposalDate').optional().isISO8601().withMessage('Invalid disposalDate'),
+  amount('disposalValue'),
+  note(),
+  check
+];
+
+// Rejection validation (a reason for the requester is required)
+exports.validateRejection = [
+  body('note').notEmpty().withMessage('note is required').trim().isLength({ max: 1000 }),
+  check
+];
+
+// Cancellation validation
+exports.validateCancellation = [
+  note(),
+  check
+];
@@ -0,0 +1,43 @@
+const { body, validationResult } = require('express-validator');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const cost = () => body('cost').optional().isFloat({ min: 0 }).withMessage('cost must be a positive number').toFloat();
+const text = (field, max = 1000) => body(field).optional().trim().isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+
+// Open ticket validation
+exports.validateOpenTicket = [
+  body('issue').notEmpty().withMessage('issue is required').trim().isLength({ max: 1000 }),
+  text('vendor', 200),
+  cost(),
+  body('openedAt').optional().isISO8601().withMessage('Invalid date'),
+  text('notes'),
+  check
+];
+
+// Ticket update validation (all optional)
+exports.validateUpdateTicket = [
+  body('issue').optional().notEmpty().withMessage('issue cannot be empty').trim().isLength({ max: 1000 }),
+  text('vendor', 200),
+  cost(),
+  text('notes'),
+  text('resolution'),
+  check
+];
+
+// Close ticket validation
+exports.validateCloseTicket = [
+  body('resolution').notEmpty().withMessage('resolution is required').trim().isLength({ max: 1000 }),
+  cost(),
+  text('vendor', 200),
+  body('closedAt').optional().isISO8601().withMessage('Invalid date'),
+  text('notes'),
+  check
+];
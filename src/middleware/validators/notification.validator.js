@@ -0,0 +1,26 @@
+const { body, validationResult } = require('express-validator');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+// Update preferences validation (all optional; null email or location clears it)
+exports.validateUpdatePreferences = [
+  body('email').optional({ values: 'null' }).trim().isEmail().withMessage('email must be a valid email address'),
+  body('weeklyDigest').optional().isBoolean().withMessage('weeklyDigest must be true or false').toBoolean(),
+  body('lostAlerts').optional().isBoolean().withMessage('lostAlerts must be true or false').toBoolean(),
+  body('companyName').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('companyName must be at most 100 characters'),
+  body('branch').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('branch must be at most 100 characters'),
+  check
+];
+
+// Send digests validation
+exports.validateSendDigests = [
+  body('force').optional().isBoolean().withMessage('force must be true or false').toBoolean(),
+  check
+];
@@ -0,0 +1,38 @@
+const { body, validationResult } = require('express-validator');
+const { SERIAL_PERIODS } = require('../../models/SerialFormat.model');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const prefixRule = () => body('prefix').trim().toUpperCase().matches(/^[A-Z0-9]{1,10}$/).withMessage('prefix must be 1-10 letters or digits');
+
+// Format fields; null clears a template/padding/period override back to the default
+const formatRules = (prefixRequired) => [
+  prefixRequired ? prefixRule() : prefixRule().optional(),
+  body('template').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('template cannot be empty'),
+  body('padding').optional({ values: 'null' }).isInt({ min: 1, max: 10 }).withMessage('padding must be between 1 and 10').toInt(),
+  body('period').optional({ values: 'null' }).isIn(SERIAL_PERIODS).withMessage(`period must be one of: ${SERIAL_PERIODS.join(', ')}`)
+];
+
+// Company format creation
+exports.createFormat = [
+  body('company').isMongoId().withMessage('Valid company ID is required'),
+  ...formatRules(true),
+  check
+];
+
+// Company format update
+exports.updateFormat = [...formatRules(false), check];
+
+// Default format update: every field must stay set
+exports.updateDefaultFormat = [
+  body(['prefix', 'template', 'padding', 'period']).optional().not().isEmpty().withMessage('Default format fields cannot be cleared'),
+  ...formatRules(false),
+  check
+];
@@ -0,0 +1,72 @@
+const { body, validationResult } = require('express-validator');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+// Results an auditor may set explicitly (the others follow from the scan)
+const SCAN_OVERRIDES = ['found', 'wrong_location', 'missing'];
+
+const text = (field, max = 1000) => body(field).optional().trim().isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+const auditors = () => [
+  body('auditors').optional().isArray().withMessage('auditors must be an array of user IDs'),
+  body('auditors.*').isMongoId().withMessage('auditors must be an array of user IDs')
+];
+
+// Rules for one scan; prefix is '' for a single scan (skipped when a batch is sent) or 'scans.*.'
+const scanRules = (prefix) => {
+  const field = (name) => (prefix ? body(`${prefix}${name}`) : body(name).if(body('scans').not().exists()));
+  return [
+    field('code').trim().notEmpty().withMessage('code is required').isLength({ max: 100 }),
+    field('department').optional().trim().isLength({ max: 100 }).withMessage('department must be at most 100 characters'),
+    field('result').optional().isIn(SCAN_OVERRIDES).withMessage(`result must be one of: ${SCAN_OVERRIDES.join(', ')}`),
+    field('note').optional().trim().isLength({ max: 500 }).withMessage('note must be at most 500 characters')
+  ];
+};
+
+// Open session validation (scope: at least one of companyName, branch, department)
+exports.validateCreateStockTake = [
+  body('name').notEmpty().withMessage('name is required').trim().isLength({ max: 100 }),
+  text('companyName', 100),
+  text('branch', 100),
+  text('department', 100),
+  body().custom(b => Boolean(b.companyName || b.branch || b.department))
+    .withMessage('Give the scope as companyName, branch and/or department'),
+  text('notes'),
+  ...auditors(),
+  check
+];
+
+// Session update validation (all optional)
+exports.validateUpdateStockTake = [
+  body('name').optional().notEmpty().withMessage('name cannot be empty').trim().isLength({ max: 100 }),
+  text('notes'),
+  ...auditors(),
+  check
+];
+
+// Scan validation: one scan, or { scans: [...] }
+exports.validateScan = [
+  body('scans').optional().isArray({ min: 1, max: 500 }).withMessage('scans must hold 1 to 500 scans'),
+  ...scanRules(''),
+  ...scanRules('scans.*.'),
+  check
+];
+
+// Close validation
+exports.validateCloseStockTake = [
+  body('markLost').optional().isBoolean().withMessage('markLost must be true or false').toBoolean(),
+  text('note'),
+  check
+];
+
+// Cancel validation
+exports.validateCancelStockTake = [
+  text('note'),
+  check
+];
@@ -0,0 +1,56 @@
+const { body, validationResult } = require('express-validator');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+const MAX_TRANSFER_ASSETS = 100;
+
+const text = (field, max = 100) => body(field).optional().trim().isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+const note = () => text('note', 1000);
+
+// Transfer request validation
+exports.validateTransferRequest = [
+  body('assets').isArray({ min: 1, max: MAX_TRANSFER_ASSETS }).withMessage(`assets must list 1 to ${MAX_TRANSFER_ASSETS} asset IDs`),
+  body('assets.*').isMongoId().withMessage('assets must list asset IDs'),
+  body('toBranch').notEmpty().withMessage('toBranch is required').trim().isLength({ max: 100 }),
+  text('toCompanyName'),
+  text('toDepartment'),
+  text('reason', 1000),
+  body('receiver').optional({ values: 'null' }).isMongoId().withMessage('receiver must be a user ID'),
+  check
+];
+
+// Approval / cancellation validation
+exports.validateTransferNote = [
+  note(),
+  check
+];
+
+// Rejection validation (a reason for the requester is required)
+exports.validateTransferRejection = [
+  body('note').notEmpty().withMessage('note is required').trim().isLength({ max: 1000 }),
+  check
+];
+
+// Dispatch validation
+exports.validateDispatch = [
+  text('carrier'),
+  text('trackingNumber'),
+  body('expectedArrival').optional().isISO8601().withMessage('Invalid expectedArrival'),
+  body('dispatchedAt').optional().isISO8601().withMessage('Invalid dispatchedAt'),
+  note(),
+  check
+];
+
+// Receipt validation
+exports.validateReceipt = [
+  body('receivedAt').optional().isISO8601().withMessage('Invalid receivedAt'),
+  note(),
+  check
+];
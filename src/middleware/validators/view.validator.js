@@ -0,0 +1,51 @@
+const { body, validationResult } = require('express-validator');
+const { ROLES } = require('../../models/User.model');
+const { VIEW_VISIBILITY } = require('../../models/SavedView.model');
+const { FILTER_PARAMS, SORT_FIELDS } = require('../../services/asset.service');
+const { EXPORT_COLUMNS } = require('../../utils/assetColumns');
+
+const CUSTOM_FIELD_PARAM = /^customFields\.[A-Za-z]\w*$/; // customFields.<key> filters and columns
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+// Rules shared by create and update (name is required on create only)
+const viewRules = () => [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('description must be at most 500 characters'),
+  body('filters').optional().custom(filters => {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) throw new Error('filters must be an object');
+    const unknown = Object.keys(filters).filter(f => !FILTER_PARAMS.includes(f) && !CUSTOM_FIELD_PARAM.test(f));
+    if (unknown.length) {
+      throw new Error(`Unknown filter(s): ${unknown.join(', ')}. Use ${FILTER_PARAMS.join(', ')} or customFields.<key>`);
+    }
+    if (Object.values(filters).some(v => typeof v !== 'string')) throw new Error('filter values must be strings');
+    return true;
+  }),
+  body('sortBy').optional({ values: 'null' }).isIn(SORT_FIELDS).withMessage(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`),
+  body('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  body('columns').optional().isArray().withMessage('columns must be an array'),
+  body('columns.*').custom(c => Boolean(EXPORT_COLUMNS[c]) || CUSTOM_FIELD_PARAM.test(c)).withMessage('Unknown column'),
+  body('visibility').optional().isIn(VIEW_VISIBILITY).withMessage(`visibility must be one of: ${VIEW_VISIBILITY.join(', ')}`),
+  body('roles').optional().isArray().withMessage('roles must be an array'),
+  body('roles.*').isIn(ROLES).withMessage(`roles must be among: ${ROLES.join(', ')}`)
+];
+
+// Create view validation
+exports.validateCreateView = [
+  body('name').notEmpty().withMessage('name is required').trim().isLength({ max: 100 }),
+  ...viewRules(),
+  check
+];
+
+// Update view validation (all optional)
+exports.validateUpdateView = [
+  body('name').optional().notEmpty().withMessage('name cannot be empty').trim().isLength({ max: 100 }),
+  ...viewRules(),
+  check
+];
@@ -0,0 +1,48 @@
+const { body, validationResult } = require('express-validator');
+const { WEBHOOK_EVENTS } = require('../../models/WebhookSubscription.model');
+
+// Validation check middleware
+const check = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: errors.array().map(e => e.msg).join(', ') });
+  }
+  next();
+};
+
+// Secrets chosen by the caller must be hard to guess
+const secret = () => body('secret').optional().isString().isLength({ min: 16, max: 200 }).withMessage('secret must be 16 to 200 characters');
+
+// Rules shared by create and update (optional on update)
+const webhookRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('name is required').trim().isLength({ max: 100 }),
+    // Local hosts are allowed (e.g. a test sink); only http(s)
+    field('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('events must list at least one event'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('description must be at most 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ];
+};
+
+// Create webhook validation
+exports.validateCreateWebhook = [
+  ...webhookRules(false),
+  secret(),
+  check
+];
+
+// Update webhook validation (all optional; the secret changes through rotation)
+exports.validateUpdateWebhook = [
+  ...webhookRules(true),
+  check
+];
+
+// Secret rotation validation
+exports.validateRotateSecret = [
+  secret(),
+  check
+];
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 
 const DEVICE_TYPES = ['Desktop', 'Laptop', 'Tablet', 'Monitor', 'Printer', 'Scanner', 'Server', 'Network Device', 'Other', 'NA'];
 const STATUS_TYPES = ['Active', 'Inactive', 'Under Maintenance', 'Disposed', 'Lost'];
+const DEPRECIATION_METHODS = ['straight_line', 'wdv']; // wdv = written-down value
 
 const assetSchema = new mongoose.Schema({
   serialNumber: { type: String, required: true, unique: true, trim: true, uppercase: true },
@@ -9,20 +10,90 @@ const assetSchema = new mongoose.Schema({
   branch: { type: String, trim: true, default: 'NA' },
   department: { type: String, trim: true, default: 'NA' },
   userName: { type: String, trim: true, default: 'NA' },
+  // Directory references (names above are kept in sync as display values)
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
   brand: { type: String, trim: true, default: 'NA' },
   device: { type: String, enum: DEVICE_TYPES, default: 'Other' },
   deviceSerialNo: { type: String, trim: true, uppercase: true, default: 'NA' },
   operatingSystem: { type: String, trim: true, default: 'NA' },
   dateOfPurchase: { type: Date, default: Date.now },
   remark: { type: String, trim: true, maxlength: 500, default: '' },
+  // Warranty, AMC (annual maintenance contract) and expected end of life
+  warrantyStart: { type: Date, default: null },
+  warrantyEnd: { type: Date, default: null },
+  warrantyVendor: { type: String, trim: true, default: '' },
+  amcVendor: { type: String, trim: true, default: '' },
+  amcContractNo: { type: String, trim: true, default: '' },
+  amcStart: { type: Date, default: null },
+  amcEnd: { type: Date, default: null },
+  amcCost: { type: Number, min: 0, default: null },
+  endOfLife: { type: Date, default: null },
+  // Purchase cost and depreciation (useful life falls back to DEFAULT_USEFUL_LIFE_YEARS)
+  purchasePrice: { type: Number, min: 0, default: null },
+  currency: { type: String, trim: true, uppercase: true, match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code'], default: null },
+  invoiceNumber: { type: String, trim: true, default: '' },
+  supplier: { type: String, trim: true, default: '' },
+  depreciationMethod: { type: String, enum: DEPRECIATION_METHODS, default: 'straight_line' },
+  usefulLifeYears: { type: Number, min: 0.5, max: 100, default: null },
+  salvageValue: { type: Number, min: 0, default: 0 },
+  depreciationRate: { type: Number, min: 0, max: 100, default: null }, // annual %, wdv only
   status: { type: String, enum: STATUS_TYPES, default: 'Active' },
+  // Set when an approved disposal request disposes of the asset (see DisposalRequest.model)
+  disposalDate: { type: Date, default: null },
+  disposalValue: { type: Number, min: 0, default: null },
+  disposalMethod: { type: String, default: null },
+  // Values of the custom fields defined for this device type (see CustomField.model), keyed by field key
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} },
   isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
 }, { timestamps: true });
 
+// End dates may not precede their start dates
+assetSchema.path('warrantyEnd').validate(function(end) {
+  return !end || !this.warrantyStart || end >= this.warrantyStart;
+}, 'Warranty end date cannot be before its start date');
+assetSchema.path('amcEnd').validate(function(end) {
+  return !end || !this.amcStart || end >= this.amcStart;
+}, 'AMC end date cannot be before its start date');
+
+// Salvage value cannot exceed cost; wdv needs a rate, or a salvage value to derive one from
+assetSchema.path('salvageValue').validate(function(salvage) {
+  return this.purchasePrice == null || !salvage || salvage <= this.purchasePrice;
+}, 'Salvage value cannot exceed the purchase price');
+assetSchema.path('depreciationMethod').validate(function(method) {
+  return method !== 'wdv' || this.purchasePrice == null || this.depreciationRate != null || this.salvageValue > 0;
+}, 'Written-down value depreciation needs a depreciationRate or a salvageValue');
+
 // Indexes for fast queries
 assetSchema.index({ companyName: 1, branch: 1, department: 1 });
 assetSchema.index({ status: 1, isDeleted: 1 });
 assetSchema.index({ createdAt: -1 });
+assetSchema.index({ isDeleted: 1, createdAt: -1, _id: -1 }); // default listing order, _id breaks ties for cursors
+assetSchema.index({ isDeleted: 1, deletedAt: 1 });
+assetSchema.index({ companyId: 1, branchId: 1, departmentId: 1 });
+assetSchema.index({ employeeId: 1 });
+assetSchema.index({ warrantyEnd: 1 });
+assetSchema.index({ amcEnd: 1 });
+assetSchema.index({ endOfLife: 1 });
+assetSchema.index({ deviceSerialNo: 1 });
+assetSchema.index({ userName: 1 });
+assetSchema.index({ brand: 1 });
+
+// Full-text search; language "none" keeps serials and names unstemmed
+assetSchema.index({
+  serialNumber: 'text', deviceSerialNo: 'text', userName: 'text', brand: 'text',
+  companyName: 'text', branch: 'text', department: 'text', remark: 'text'
+}, {
+  name: 'asset_text',
+  default_language: 'none',
+  weights: { serialNumber: 10, deviceSerialNo: 8, userName: 5, brand: 4, companyName: 2, branch: 2, department: 2, remark: 1 }
+});
 
 module.exports = mongoose.model('Asset', assetSchema);
+module.exports.DEVICE_TYPES = DEVICE_TYPES;
+module.exports.DEPRECIATION_METHODS = DEPRECIATION_METHODS;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  assignee: { type: String, required: true, trim: true },
+  employee: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  assignedAt: { type: Date, default: Date.now },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  conditionOut: { type: String, trim: true, maxlength: 500, default: '' },
+  returnedAt: { type: Date, default: null },
+  returnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  conditionIn: { type: String, trim: true, maxlength: 500, default: '' },
+  notes: { type: String, trim: true, maxlength: 500, default: '' },
+  isActive: { type: Boolean, default: true } // false once the asset is returned or reassigned
+}, { timestamps: true });
+
+// At most one open assignment per asset
+assignmentSchema.index({ asset: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+assignmentSchema.index({ asset: 1, assignedAt: 1 });
+assignmentSchema.index({ assignee: 1, isActive: 1 });
+assignmentSchema.index({ employee: 1, isActive: 1 });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
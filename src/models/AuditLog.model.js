@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'import'];
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  serialNumber: { type: String, trim: true, uppercase: true }, // kept so purged assets stay searchable
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  changes: { type: [changeSchema], default: [] },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  meta: { type: mongoose.Schema.Types.Mixed } // e.g. import source, snapshot of a purged asset
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes for history lookups and the admin audit feed
+auditLogSchema.index({ asset: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ performedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
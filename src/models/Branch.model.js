@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+const branchSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+  address: { type: String, trim: true, default: '' },
+  aliases: { type: [String], default: [] },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+branchSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+const companySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  aliases: { type: [String], default: [] }, // alternative spellings resolved to this company
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { DEVICE_TYPES } = require('./Asset.model');
+
+const CUSTOM_FIELD_TYPES = ['string', 'number', 'date', 'enum'];
+
+// Typed asset attribute defined for one device type (e.g. RAM for servers, cartridge model for
+// printers). Assets of that type keep the value under Asset.customFields[key].
+const customFieldSchema = new mongoose.Schema({
+  device: { type: String, required: true, enum: DEVICE_TYPES.filter(d => d !== 'NA') },
+  key: {
+    type: String, required: true, trim: true, maxlength: 40,
+    match: [/^[A-Za-z][A-Za-z0-9_]*$/, 'key must start with a letter and contain only letters, digits and _']
+  },
+  label: { type: String, required: true, trim: true, maxlength: 100 },
+  type: { type: String, required: true, enum: CUSTOM_FIELD_TYPES },
+  options: { type: [String], default: [] }, // allowed values of an enum field
+  required: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Options only apply to enum fields
+customFieldSchema.pre('validate', function(next) {
+  if (this.type !== 'enum') this.options = [];
+  next();
+});
+customFieldSchema.path('options').validate(function(options) {
+  return this.type !== 'enum' || options.length > 0;
+}, 'An enum field needs at least one option');
+
+customFieldSchema.index({ device: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
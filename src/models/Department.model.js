@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const departmentSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+  aliases: { type: [String], default: [] },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+departmentSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
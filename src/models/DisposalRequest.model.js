@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const DISPOSAL_METHODS = ['sale', 'scrap', 'donation', 'e_waste', 'write_off'];
+const DISPOSAL_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Request to dispose of or write off an asset. An approver (not the requester) approves it, which
+// moves the asset to Disposed, or rejects it. Approved requests form the disposal register.
+const disposalRequestSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  serialNumber: { type: String, trim: true, uppercase: true },
+  // Where the asset was when disposal was requested (for the register)
+  companyName: { type: String, trim: true, default: 'NA' },
+  branch: { type: String, trim: true, default: 'NA' },
+  method: { type: String, required: true, enum: DISPOSAL_METHODS },
+  reason: { type: String, required: true, trim: true, maxlength: 1000 },
+  expectedValue: { type: Number, min: 0, default: null }, // expected proceeds, e.g. sale price
+  status: { type: String, enum: DISPOSAL_STATUSES, default: 'pending' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedAt: { type: Date, default: Date.now },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, trim: true, maxlength: 1000, default: '' },
+  // Recorded on approval
+  disposalDate: { type: Date, default: null },
+  disposalValue: { type: Number, min: 0, default: null }, // actual proceeds
+  bookValue: { type: Number, default: null }, // book value on the disposal date
+  currency: { type: String, default: null },
+  previousStatus: { type: String, default: null } // asset status before disposal
+}, { timestamps: true });
+
+// At most one pending request per asset
+disposalRequestSchema.index({ asset: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+disposalRequestSchema.index({ status: 1, requestedAt: 1 });
+disposalRequestSchema.index({ status: 1, disposalDate: -1 });
+
+module.exports = mongoose.model('DisposalRequest', disposalRequestSchema);
+module.exports.DISPOSAL_METHODS = DISPOSAL_METHODS;
+module.exports.DISPOSAL_STATUSES = DISPOSAL_STATUSES;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Blank codes are left unset: the sparse unique index skips missing codes but not '' or null
+const blankToUnset = (value) => (value === null || (typeof value === 'string' && !value.trim()) ? undefined : value);
+
+const employeeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  employeeCode: { type: String, trim: true, uppercase: true, sparse: true, unique: true, set: blankToUnset },
+  email: { type: String, trim: true, lowercase: true, default: '' },
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+  aliases: { type: [String], default: [] },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+employeeSchema.index({ name: 1 });
+employeeSchema.index({ company: 1, branch: 1, department: 1 });
+
+module.exports = mongoose.model('Employee', employeeSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['preview', 'committed'];
+const PREVIEW_TTL_HOURS = 24;
+
+const importBatchSchema = new mongoose.Schema({
+  fileName: { type: String, trim: true, default: '' },
+  status: { type: String, enum: IMPORT_STATUSES, default: 'preview' },
+  options: {
+    mode: { type: String, enum: ['insert', 'update', 'upsert'], default: 'insert' },
+    matchBy: { type: String, enum: ['serialNumber', 'deviceSerialNo'], default: 'serialNumber' }
+  },
+  headers: { type: [String], default: [] },
+  columnMapping: [{ _id: false, header: String, field: String }], // field null = ignored column
+  // One entry per spreadsheet row:
+  // { row, raw: [values by header], data, provided, errors, warnings, action, assetId, changes, serialNumber, result, message }
+  rows: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  summary: { type: mongoose.Schema.Types.Mixed },
+  result: { type: mongoose.Schema.Types.Mixed },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  committedAt: { type: Date, default: null },
+  // Uncommitted previews are removed automatically by MongoDB
+  expiresAt: { type: Date, default: () => new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000) }
+}, { timestamps: true });
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+importBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const TICKET_STATUSES = ['open', 'closed'];
+
+// Maintenance / repair ticket. While a ticket is open its asset is "Under Maintenance";
+// previousStatus is what the asset returns to when the ticket is closed.
+const maintenanceTicketSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  serialNumber: { type: String, trim: true, uppercase: true },
+  // Where the asset was when the ticket was opened (for per-branch cost summaries)
+  companyName: { type: String, trim: true, default: 'NA' },
+  branch: { type: String, trim: true, default: 'NA' },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  issue: { type: String, required: true, trim: true, maxlength: 1000 },
+  vendor: { type: String, trim: true, default: '' },
+  cost: { type: Number, min: 0, default: 0 },
+  status: { type: String, enum: TICKET_STATUSES, default: 'open' },
+  previousStatus: { type: String, required: true },
+  openedAt: { type: Date, default: Date.now },
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resolution: { type: String, trim: true, maxlength: 1000, default: '' },
+  notes: { type: String, trim: true, maxlength: 1000, default: '' }
+}, { timestamps: true });
+
+// At most one open ticket per asset
+maintenanceTicketSchema.index({ asset: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+maintenanceTicketSchema.index({ asset: 1, openedAt: -1 });
+maintenanceTicketSchema.index({ status: 1, openedAt: -1 });
+maintenanceTicketSchema.index({ branch: 1, openedAt: -1 });
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
+module.exports.TICKET_STATUSES = TICKET_STATUSES;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Email notifications a user can subscribe to
+const NOTIFICATION_TYPES = ['weeklyDigest', 'lostAlerts'];
+
+// A user's email subscriptions. Users without a document get their role's defaults (subscribed for
+// managers and admins, see notification.service), which are written on insert; email goes to
+// User.email, so nothing is sent until the user has one. companyName / branch narrow both the
+// digest and the alerts to one location (null = every asset the user can see).
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  weeklyDigest: { type: Boolean, default: false },
+  lostAlerts: { type: Boolean, default: false },
+  companyName: { type: String, trim: true, default: null },
+  branch: { type: String, trim: true, default: null },
+  lastDigestAt: { type: Date, default: null } // last weekly digest sent, so a week is never sent twice
+}, { timestamps: true });
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
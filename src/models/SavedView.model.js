@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./User.model');
+
+const VIEW_VISIBILITY = ['private', 'roles', 'everyone'];
+
+// Named asset listing a user saved: list filters, sort and visible columns. Shared views are
+// visible to users with one of `roles` (visibility "roles") or to everyone; only the owner edits them.
+const savedViewSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500, default: '' },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filters: { type: Map, of: String, default: {} }, // GET /assets query params, e.g. { device: 'Laptop', branch: 'Mumbai' }
+  // customFields.<key> filters by key (Map keys can't contain '.'); the API shows them inside filters
+  customFilters: { type: Map, of: String, default: {} },
+  sortBy: { type: String, default: null },
+  order: { type: String, enum: ['asc', 'desc'], default: 'desc' },
+  columns: { type: [String], default: [] }, // export column keys, in display order
+  visibility: { type: String, enum: VIEW_VISIBILITY, default: 'private' },
+  roles: [{ type: String, enum: ROLES }]
+}, { timestamps: true });
+
+// Roles only matter for role-shared views
+savedViewSchema.pre('validate', function(next) {
+  if (this.visibility !== 'roles') this.roles = [];
+  next();
+});
+savedViewSchema.path('roles').validate(function(roles) {
+  return this.visibility !== 'roles' || roles.length > 0;
+}, 'A view shared with roles needs at least one role');
+
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ visibility: 1, roles: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
+module.exports.VIEW_VISIBILITY = VIEW_VISIBILITY;
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Last issued sequence per "PREFIX:PERIOD" key, incremented atomically with $inc
+const serialCounterSchema = new mongoose.Schema({
+  _id: { type: String }, // e.g. "OMT:20240115" (daily), "OMT:2024" (yearly), "OMT:" (never resets)
+  seq: { type: Number, required: true, default: 0 }
+}, { timestamps: true, versionKey: false });
+
+module.exports = mongoose.model('SerialCounter', serialCounterSchema);
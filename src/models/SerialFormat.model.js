@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const SERIAL_PERIODS = ['daily', 'monthly', 'yearly', 'none'];
+const TEMPLATE_TOKENS = ['PREFIX', 'YYYY', 'YY', 'MM', 'DD', 'SEQ'];
+
+// Date tokens a template must contain so numbers stay unique when the sequence resets
+const REQUIRED_DATE_TOKENS = {
+  daily: [['DD'], ['MM'], ['YYYY', 'YY']],
+  monthly: [['MM'], ['YYYY', 'YY']],
+  yearly: [['YYYY', 'YY']],
+  none: []
+};
+
+// Serial number format. The document without a company is the default for every company;
+// company documents set that company's prefix and may override template, padding and period.
+const serialFormatSchema = new mongoose.Schema({
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+  prefix: { type: String, trim: true, uppercase: true, match: [/^[A-Z0-9]{1,10}$/, 'Prefix must be 1-10 letters or digits'] },
+  template: { type: String, trim: true }, // e.g. "{PREFIX}-{DD}{MM}{YYYY}-{SEQ}"
+  padding: { type: Number, min: 1, max: 10 },
+  period: { type: String, enum: SERIAL_PERIODS }
+}, { timestamps: true });
+
+serialFormatSchema.index({ company: 1 }, { unique: true });
+
+// Template must contain {SEQ} and only known tokens (date tokens per period are checked by the serial service,
+// since company formats inherit template and period from the default)
+serialFormatSchema.path('template').validate(function(template) {
+  if (!template) return Boolean(this.company); // the default format needs a template, company ones inherit it
+  const tokens = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+  return tokens.includes('SEQ') && tokens.every(t => TEMPLATE_TOKENS.includes(t));
+}, `Template must contain {SEQ} and may only use ${TEMPLATE_TOKENS.map(t => `{${t}}`).join(', ')}`);
+
+module.exports = mongoose.model('SerialFormat', serialFormatSchema);
+module.exports.SERIAL_PERIODS = SERIAL_PERIODS;
+module.exports.TEMPLATE_TOKENS = TEMPLATE_TOKENS;
+module.exports.REQUIRED_DATE_TOKENS = REQUIRED_DATE_TOKENS;
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A serial number handed out by /assets/generate-serial, held for its requester until it expires
+const serialReservationSchema = new mongoose.Schema({
+  serialNumber: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  reservedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+serialReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SerialReservation', serialReservationSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const STOCK_TAKE_STATUSES = ['open', 'closed', 'cancelled'];
+
+// Physical inventory audit of a company, branch or department. Opening a session snapshots the
+// assets expected in its scope as StockTakeItems; auditors then scan what they find. Closing it
+// turns every unscanned expected asset into "missing" and can mark those assets Lost.
+const stockTakeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Scope (at least one is set; null = any)
+  companyName: { type: String, trim: true, default: null },
+  branch: { type: String, trim: true, default: null },
+  department: { type: String, trim: true, default: null },
+  notes: { type: String, trim: true, maxlength: 1000, default: '' },
+  status: { type: String, enum: STOCK_TAKE_STATUSES, default: 'open' },
+  // Users who may record scans besides stock-take managers
+  auditors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  expectedCount: { type: Number, default: 0 },
+  startedAt: { type: Date, default: Date.now },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  closingNote: { type: String, trim: true, maxlength: 1000, default: '' },
+  // Recorded on close
+  summary: { type: Map, of: Number, default: null }, // count per result
+  markedLost: { type: Number, default: 0 } // assets set to Lost on close
+}, { timestamps: true });
+
+stockTakeSchema.pre('validate', function(next) {
+  if (!this.companyName && !this.branch && !this.department) {
+    this.invalidate('companyName', 'A stock-take needs a companyName, branch or department');
+  }
+  next();
+});
+
+// One open session per scope
+stockTakeSchema.index(
+  { companyName: 1, branch: 1, department: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+stockTakeSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
+module.exports.STOCK_TAKE_STATUSES = STOCK_TAKE_STATUSES;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// pending: expected, not scanned yet; found: expected and scanned where it belongs;
+// wrong_location: scanned, but registered elsewhere (another department, or outside the session's scope);
+// missing: expected and not found; unexpected: scanned but not on the expected list (or not in the register at all)
+const SCAN_RESULTS = ['pending', 'found', 'wrong_location', 'missing', 'unexpected'];
+
+// One line of a stock-take: an expected asset from the opening snapshot, or something scanned that
+// wasn't expected. Location fields are the register's values when the session opened (or when scanned).
+const stockTakeItemSchema = new mongoose.Schema({
+  stockTake: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTake', required: true },
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', default: null }, // null: code not in the register
+  expected: { type: Boolean, default: true },
+  serialNumber: { type: String, trim: true, uppercase: true, default: null },
+  deviceSerialNo: { type: String, trim: true, uppercase: true, default: null },
+  companyName: { type: String, trim: true, default: 'NA' },
+  branch: { type: String, trim: true, default: 'NA' },
+  department: { type: String, trim: true, default: 'NA' },
+  userName: { type: String, trim: true, default: 'NA' },
+  device: { type: String, default: null },
+  brand: { type: String, trim: true, default: null },
+  assetStatus: { type: String, default: null },
+  result: { type: String, enum: SCAN_RESULTS, default: 'pending' },
+  // Last scan
+  scannedCode: { type: String, trim: true, uppercase: true, default: null },
+  foundDepartment: { type: String, trim: true, default: null }, // where the auditor found it, if given
+  scannedAt: { type: Date, default: null },
+  scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  scanCount: { type: Number, default: 0 },
+  note: { type: String, trim: true, maxlength: 500, default: '' }
+}, { timestamps: true });
+
+stockTakeItemSchema.index({ stockTake: 1, serialNumber: 1 });
+stockTakeItemSchema.index({ stockTake: 1, deviceSerialNo: 1 });
+stockTakeItemSchema.index({ stockTake: 1, result: 1 });
+
+module.exports = mongoose.model('StockTakeItem', stockTakeItemSchema);
+module.exports.SCAN_RESULTS = SCAN_RESULTS;
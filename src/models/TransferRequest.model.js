@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const TRANSFER_STATUSES = ['requested', 'approved', 'in_transit', 'received', 'rejected', 'cancelled'];
+// Transfers still under way: their assets cannot change location by other means
+const ACTIVE_TRANSFER_STATUSES = ['requested', 'approved', 'in_transit'];
+
+// One asset on a transfer, as it was when requested
+const transferAssetSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  serialNumber: { type: String, trim: true, uppercase: true },
+  device: { type: String, default: null },
+  brand: { type: String, trim: true, default: null },
+  department: { type: String, trim: true, default: 'NA' } // department it leaves
+}, { _id: false });
+
+// Who moved the transfer to a status, and when
+const transferStepSchema = new mongoose.Schema({
+  status: { type: String, enum: TRANSFER_STATUSES, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  at: { type: Date, default: Date.now },
+  note: { type: String, trim: true, maxlength: 1000, default: '' }
+}, { _id: false });
+
+// Request to move assets from one branch to another: requested -> approved (by an approver other
+// than the requester) -> in_transit (dispatched) -> received. Rejected or cancelled requests end it
+// before dispatch. Assets only take the destination's location on receipt.
+const transferRequestSchema = new mongoose.Schema({
+  assets: {
+    type: [transferAssetSchema],
+    validate: [list => list.length > 0, 'A transfer needs at least one asset']
+  },
+  fromCompanyName: { type: String, trim: true, default: 'NA' },
+  fromBranch: { type: String, trim: true, default: 'NA' },
+  toCompanyName: { type: String, trim: true, default: 'NA' },
+  toBranch: { type: String, trim: true, required: true },
+  toDepartment: { type: String, trim: true, default: null }, // null keeps each asset's department
+  reason: { type: String, trim: true, maxlength: 1000, default: '' },
+  status: { type: String, enum: TRANSFER_STATUSES, default: 'requested' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedAt: { type: Date, default: Date.now },
+  // Who confirms receipt at the destination (approvers can too)
+  receiver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Dispatch details
+  carrier: { type: String, trim: true, default: '' },
+  trackingNumber: { type: String, trim: true, default: '' },
+  expectedArrival: { type: Date, default: null },
+  dispatchedAt: { type: Date, default: null },
+  receivedAt: { type: Date, default: null },
+  history: { type: [transferStepSchema], default: [] }
+}, { timestamps: true });
+
+transferRequestSchema.index({ 'assets.asset': 1, status: 1 });
+transferRequestSchema.index({ status: 1, requestedAt: -1 });
+transferRequestSchema.index({ status: 1, dispatchedAt: 1 });
+
+module.exports = mongoose.model('TransferRequest', transferRequestSchema);
+module.exports.TRANSFER_STATUSES = TRANSFER_STATUSES;
+module.exports.ACTIVE_TRANSFER_STATUSES = ACTIVE_TRANSFER_STATUSES;
@@ -7,7 +7,9 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true, trim: true, lowercase: true },
   name: { type: String, required: true, trim: true },
   role: { type: String, required: true, enum: ROLES, default: 'user' },
-  password: { type: String, required: true, minlength: 6 }
+  email: { type: String, trim: true, lowercase: true, match: [/^\S+@\S+\.\S+$/, 'Invalid email'], default: null }, // where notifications go
+  password: { type: String, required: true, minlength: 6 },
+  refreshTokens: { type: [String], select: false, default: [] } // sha256 hashes of active refresh tokens
 }, { timestamps: true });
 
 // Hash password before saving
@@ -23,3 +25,4 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed']; // failed = gave up after the last retry
+const LOG_RETENTION_DAYS = 30;
+
+// One attempt to POST a delivery
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: '' }, // truncated
+  error: { type: String, default: null }, // network error or timeout
+  durationMs: { type: Number, default: null }
+}, { _id: false });
+
+// Delivery log: one event sent to one subscription, with every attempt. Pending deliveries are
+// retried with backoff at nextAttemptAt. Entries expire after LOG_RETENTION_DAYS.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  eventId: { type: String, required: true }, // shared by the deliveries of one event
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  test: { type: Boolean, default: false },
+  attempts: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
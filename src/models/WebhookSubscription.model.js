@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Asset events a webhook can subscribe to ("ping" is only sent by the test-fire endpoint)
+const WEBHOOK_EVENTS = [
+  'asset.created', 'asset.assigned', 'asset.returned', 'asset.maintenance_opened',
+  'asset.transferred', 'asset.disposed', 'asset.deleted'
+];
+
+// An external endpoint receiving signed JSON POSTs for the events it subscribes to.
+// The secret signs payloads (see webhook.service) and is only returned on create and rotation.
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  url: { type: String, required: true, trim: true },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [list => list.length > 0, 'Subscribe to at least one event']
+  },
+  secret: { type: String, required: true, select: false },
+  description: { type: String, trim: true, maxlength: 500, default: '' },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.index({ events: 1, isActive: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -1,7 +1,20 @@
 const router = require('express').Router();
 const multer = require('multer');
 const controller = require('../controllers/asset.controller');
-const { validateAsset, validateAssetUpdate } = require('../middleware/validators/asset.validator');
+const assignments = require('../controllers/assignment.controller');
+const imports = require('../controllers/import.controller');
+const maintenance = require('../controllers/maintenance.controller');
+const stats = require('../controllers/stats.controller');
+const disposals = require('../controllers/disposal.controller');
+const labels = require('../controllers/label.controller');
+const transfers = require('../controllers/transfer.controller');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateAsset, validateAssetUpdate, validateAssignment, validateReturn, validateIdList,
+  validateBulkUpdate, validateBulkDelete
+} = require('../middleware/validators/asset.validator');
+const { validateOpenTicket } = require('../middleware/validators/maintenance.validator');
+const { validateDisposalRequest } = require('../middleware/validators/disposal.validator');
 
 // Configure multer for Excel file uploads (memory storage for buffer access)
 const upload = multer({
@@ -21,27 +34,69 @@ const upload = multer({
   }
 });
 
+// Every asset route requires an authenticated user
+router.use(protect);
+
 // Stats & filter options
-router.get('/stats/overview', controller.getAssetStats);
+router.get('/stats/overview', stats.getAssetStats);
+router.get('/stats/group', stats.getGroupedStats);
+router.get('/stats/trends', stats.getTrends);
 router.get('/filters', controller.getFilterOptions);
-router.get('/export', controller.exportAssets);
-router.get('/generate-serial/:companyName', controller.generateSerial);
+router.get('/search/suggest', controller.suggestAssets);
+router.get('/expiring', controller.getExpiringAssets);
+router.get('/labels', labels.getLabelSheet);
+router.get('/export', authorize('asset:export'), controller.exportAssets);
+router.get('/valuation', authorize('asset:export'), controller.getValuation);
+router.get('/generate-serial/:companyName', authorize('asset:create'), controller.generateSerial);
 
 // Bulk operations (before :id routes)
-router.post('/bulk', controller.bulkCreateAssets);
-router.post('/upload-excel', upload.single('file'), controller.uploadExcel);
+router.post('/bulk', authorize('asset:import'), imports.bulkCreateAssets);
+router.post('/bulk/update', authorize('asset:update:any', 'asset:update:own'), validateBulkUpdate, controller.bulkUpdateAssets);
+router.post('/bulk/delete', authorize('asset:delete'), validateBulkDelete, controller.bulkDeleteAssets);
+router.post('/upload-excel', authorize('asset:import'), upload.single('file'), imports.uploadExcel);
+
+// Two-phase Excel import: preview, then commit
+router.post('/import/preview', authorize('asset:import'), upload.single('file'), imports.previewImport);
+router.get('/import/:importId', authorize('asset:import'), imports.getImport);
+router.post('/import/:importId/commit', authorize('asset:import'), imports.commitImport);
+router.get('/import/:importId/report', authorize('asset:import'), imports.downloadImportReport);
 router.get('/serial/:serialNumber', controller.getAssetBySerialNumber);
+router.get('/held-by/:employee', assignments.getAssetsHeldBy);
+
+// Trash (soft-deleted assets)
+router.get('/trash', authorize('asset:delete'), controller.getTrash);
+router.post('/trash/restore', authorize('asset:delete'), validateIdList, controller.bulkRestoreAssets);
+router.post('/trash/purge', authorize('asset:purge'), validateIdList, controller.bulkPurgeAssets);
 
 // CRUD routes
 router.route('/')
   .get(controller.getAllAssets)
-  .post(validateAsset, controller.createAsset);
+  .post(authorize('asset:create'), validateAsset, controller.createAsset);
 
 router.route('/:id')
   .get(controller.getAssetById)
-  .put(validateAssetUpdate, controller.updateAsset)
-  .delete(controller.deleteAsset);
+  .put(authorize('asset:update:any', 'asset:update:own'), validateAssetUpdate, controller.updateAsset)
+  .delete(authorize('asset:delete'), controller.deleteAsset);
+
+router.get('/:id/history', controller.getAssetHistory);
+router.get('/:id/label', labels.getAssetLabel);
+router.post('/:id/restore', authorize('asset:delete'), controller.restoreAsset);
+router.delete('/:id/permanent', authorize('asset:purge'), controller.permanentDeleteAsset);
+
+// Assignment (check-out / check-in)
+router.get('/:id/assignments', assignments.getAssetAssignments);
+router.post('/:id/assign', authorize('asset:assign'), validateAssignment, assignments.assignAsset);
+router.post('/:id/return', authorize('asset:assign'), validateReturn, assignments.returnAsset);
+
+// Maintenance tickets (listing and closing live under /maintenance)
+router.get('/:id/maintenance', maintenance.getAssetTickets);
+router.post('/:id/maintenance', authorize('maintenance:manage'), validateOpenTicket, maintenance.openTicket);
+
+// Disposal requests (approval and the register live under /disposals)
+router.get('/:id/disposal', disposals.getAssetDisposals);
+router.post('/:id/disposal', authorize('asset:update:any', 'asset:update:own'), validateDisposalRequest, disposals.requestDisposal);
 
-router.delete('/:id/permanent', controller.permanentDeleteAsset);
+// Transfers of an asset (requests and their steps live under /transfers)
+router.get('/:id/transfers', transfers.getAssetTransfers);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const router = require('express').Router();
+const controller = require('../controllers/audit.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect, authorize('audit:read'));
+
+router.get('/', controller.getAuditLogs);
+
+module.exports = router;
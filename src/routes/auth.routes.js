@@ -1,6 +1,7 @@
 const router = require('express').Router();
 const { body } = require('express-validator');
-const { signup, login, resetPassword } = require('../controllers/auth.controller');
+const { optionalAuth } = require('../middleware/auth');
+const { signup, login, refresh, logout, resetPassword } = require('../controllers/auth.controller');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -17,6 +18,7 @@ const signupValidation = [
   body('username').notEmpty().withMessage('Username is required').trim(),
   body('name').notEmpty().withMessage('Name is required').trim(),
   body('role').optional().isIn(['admin', 'manager', 'user']).withMessage('Invalid role'),
+  body('email').optional({ values: 'null' }).trim().isEmail().withMessage('Invalid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   validate
 ];
@@ -28,6 +30,12 @@ const loginValidation = [
   validate
 ];
 
+// Refresh / logout validation
+const refreshValidation = [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+  validate
+];
+
 // Reset password validation
 const resetValidation = [
   body('username').notEmpty().withMessage('Username is required').trim(),
@@ -37,8 +45,10 @@ const resetValidation = [
 ];
 
 // Routes
-router.post('/signup', signupValidation, signup);
+router.post('/signup', optionalAuth, signupValidation, signup);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/logout', refreshValidation, logout);
 router.post('/reset-password', resetValidation, resetPassword);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const router = require('express').Router();
+const controller = require('../controllers/customField.controller');
+const { protect, authorize } = require('../middleware/auth');
+const { validateCreateField, validateUpdateField } = require('../middleware/validators/customField.validator');
+
+router.use(protect);
+
+// Everyone can read definitions (asset forms need them); only admins change them
+router.get('/', controller.getFields);
+router.post('/', authorize('customField:manage'), validateCreateField, controller.createField);
+router.route('/:id')
+  .put(authorize('customField:manage'), validateUpdateField, controller.updateField)
+  .delete(authorize('customField:manage'), controller.deleteField);
+
+module.exports = router;
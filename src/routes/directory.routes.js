@@ -0,0 +1,47 @@
+const express = require('express');
+const { crud } = require('../controllers/directory.controller');
+const { protect, authorize } = require('../middleware/auth');
+const validators = require('../middleware/validators/directory.validator');
+const Company = require('../models/Company.model');
+const Branch = require('../models/Branch.model');
+const Department = require('../models/Department.model');
+const Employee = require('../models/Employee.model');
+
+const router = express.Router();
+
+// Every directory route requires an authenticated user; changes need directory:manage
+router.use(protect);
+
+// Helper: Mount CRUD routes for one directory collection
+const mount = (path, handlers, validator) => {
+  const sub = express.Router();
+  sub.route('/')
+    .get(handlers.list)
+    .post(authorize('directory:manage'), validator.create, handlers.create);
+  sub.route('/:id')
+    .get(handlers.get)
+    .put(authorize('directory:manage'), validator.update, handlers.update)
+    .delete(authorize('directory:manage'), handlers.remove);
+  router.use(path, sub);
+};
+
+mount('/companies', crud(Company, {
+  label: 'Company', assetLink: { ref: 'companyId', name: 'companyName' }
+}), validators.company);
+
+mount('/branches', crud(Branch, {
+  label: 'Branch', assetLink: { ref: 'branchId', name: 'branch' }, filters: ['company'], populate: 'company'
+}), validators.branch);
+
+mount('/departments', crud(Department, {
+  label: 'Department', assetLink: { ref: 'departmentId', name: 'department' }, filters: ['company'], populate: 'company'
+}), validators.department);
+
+mount('/employees', crud(Employee, {
+  label: 'Employee',
+  assetLink: { ref: 'employeeId', name: 'userName' },
+  filters: ['company', 'branch', 'department'],
+  populate: 'company branch department'
+}), validators.employee);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const router = require('express').Router();
+const controller = require('../controllers/disposal.controller');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateApproval, validateRejection, validateCancellation
+} = require('../middleware/validators/disposal.validator');
+
+// Requests are raised under /assets/:id/disposal; anyone signed in can follow their own here
+router.use(protect);
+
+// Approvals and the register (before :id routes)
+router.get('/pending', authorize('disposal:approve'), controller.getPendingApprovals);
+router.get('/register', authorize('asset:export'), controller.getRegister);
+
+router.get('/', controller.getDisposals);
+router.get('/:id', controller.getDisposal);
+router.post('/:id/approve', authorize('disposal:approve'), validateApproval, controller.approveDisposal);
+router.post('/:id/reject', authorize('disposal:approve'), validateRejection, controller.rejectDisposal);
+router.post('/:id/cancel', validateCancellation, controller.cancelDisposal);
+
+module.exports = router;
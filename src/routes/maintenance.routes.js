@@ -0,0 +1,18 @@
+const router = require('express').Router();
+const controller = require('../controllers/maintenance.controller');
+const { protect, authorize } = require('../middleware/auth');
+const { validateUpdateTicket, validateCloseTicket } = require('../middleware/validators/maintenance.validator');
+
+router.use(protect, authorize('maintenance:manage'));
+
+// Cost summaries (before :id routes)
+router.get('/summary/assets', controller.getAssetCostSummary);
+router.get('/summary/branches', controller.getBranchCostSummary);
+
+router.get('/', controller.getTickets);
+router.route('/:id')
+  .get(controller.getTicket)
+  .put(validateUpdateTicket, controller.updateTicket);
+router.post('/:id/close', validateCloseTicket, controller.closeTicket);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const router = require('express').Router();
+const controller = require('../controllers/notification.controller');
+const { protect, authorize } = require('../middleware/auth');
+const { validateUpdatePreferences, validateSendDigests } = require('../middleware/validators/notification.validator');
+
+router.use(protect);
+
+router.route('/preferences')
+  .get(controller.getPreferences)
+  .put(validateUpdatePreferences, controller.updatePreferences);
+router.get('/digest/preview', controller.previewDigest);
+router.post('/test', controller.sendTest);
+
+router.get('/subscribers', authorize('notification:manage'), controller.getSubscribers);
+router.post('/digest/send', authorize('notification:manage'), validateSendDigests, controller.sendDigests);
+
+module.exports = router;
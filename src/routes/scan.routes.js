@@ -0,0 +1,8 @@
+const router = require('express').Router();
+const labels = require('../controllers/label.controller');
+const { protect } = require('../middleware/auth');
+
+// Short route encoded in QR labels (kept outside the API prefix so codes stay small)
+router.get('/:serialNumber', protect, labels.scanLookup);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const router = require('express').Router();
+const controller = require('../controllers/serial.controller');
+const { protect, authorize } = require('../middleware/auth');
+const validators = require('../middleware/validators/serial.validator');
+
+router.use(protect, authorize('serial:manage'));
+
+router.get('/', controller.getFormats);
+router.get('/preview', controller.previewSerials);
+router.put('/default', validators.updateDefaultFormat, controller.updateDefaultFormat);
+router.post('/', validators.createFormat, controller.createFormat);
+router.route('/:id')
+  .put(validators.updateFormat, controller.updateFormat)
+  .delete(controller.deleteFormat);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const router = require('express').Router();
+const controller = require('../controllers/stockTake.controller');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCreateStockTake, validateUpdateStockTake, validateScan, validateCloseStockTake, validateCancelStockTake
+} = require('../middleware/validators/stockTake.validator');
+
+// Auditors listed on a session may view it and record scans; everything else needs stockTake:manage
+router.use(protect);
+
+router.route('/')
+  .get(controller.getStockTakes)
+  .post(authorize('stockTake:manage'), validateCreateStockTake, controller.createStockTake);
+router.route('/:id')
+  .get(controller.getStockTake)
+  .put(authorize('stockTake:manage'), validateUpdateStockTake, controller.updateStockTake);
+router.get('/:id/items', controller.getItems);
+router.get('/:id/report', controller.getReport);
+router.post('/:id/scans', validateScan, controller.recordScans);
+router.post('/:id/close', authorize('stockTake:manage'), validateCloseStockTake, controller.closeStockTake);
+router.post('/:id/cancel', authorize('stockTake:manage'), validateCancelStockTake, controller.cancelStockTake);
+
+module.exports = router;
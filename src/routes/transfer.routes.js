@@ -0,0 +1,24 @@
+const router = require('express').Router();
+const controller = require('../controllers/transfer.controller');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateTransferRequest, validateTransferNote, validateTransferRejection, validateDispatch, validateReceipt
+} = require('../middleware/validators/transfer.validator');
+
+// Anyone who can edit the assets may request a transfer; the controller checks each step's actor
+router.use(protect);
+
+// Report (before :id routes)
+router.get('/in-transit', authorize('asset:export'), controller.getInTransit);
+
+router.route('/')
+  .get(controller.getTransfers)
+  .post(validateTransferRequest, controller.requestTransfer);
+router.get('/:id', controller.getTransfer);
+router.post('/:id/approve', authorize('transfer:approve'), validateTransferNote, controller.approveTransfer);
+router.post('/:id/reject', authorize('transfer:approve'), validateTransferRejection, controller.rejectTransfer);
+router.post('/:id/dispatch', validateDispatch, controller.dispatchTransfer);
+router.post('/:id/receive', validateReceipt, controller.receiveTransfer);
+router.post('/:id/cancel', validateTransferNote, controller.cancelTransfer);
+
+module.exports = router;
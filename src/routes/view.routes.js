@@ -0,0 +1,17 @@
+const router = require('express').Router();
+const controller = require('../controllers/view.controller');
+const { protect } = require('../middleware/auth');
+const { validateCreateView, validateUpdateView } = require('../middleware/validators/view.validator');
+
+// Any signed-in user can save views; sharing and ownership rules live in the controller
+router.use(protect);
+
+router.route('/')
+  .get(controller.getViews)
+  .post(validateCreateView, controller.createView);
+router.route('/:id')
+  .get(controller.getView)
+  .put(validateUpdateView, controller.updateView)
+  .delete(controller.deleteView);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const router = require('express').Router();
+const controller = require('../controllers/webhook.controller');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCreateWebhook, validateUpdateWebhook, validateRotateSecret
+} = require('../middleware/validators/webhook.validator');
+
+router.use(protect, authorize('webhook:manage'));
+
+router.get('/events', controller.getEvents);
+
+router.route('/')
+  .get(controller.getWebhooks)
+  .post(validateCreateWebhook, controller.createWebhook);
+router.route('/:id')
+  .get(controller.getWebhook)
+  .put(validateUpdateWebhook, controller.updateWebhook)
+  .delete(controller.deleteWebhook);
+router.post('/:id/rotate-secret', validateRotateSecret, controller.rotateSecret);
+router.post('/:id/test', controller.testWebhook);
+router.get('/:id/deliveries', controller.getDeliveries);
+router.get('/:id/deliveries/:deliveryId', controller.getDelivery);
+router.post('/:id/deliveries/:deliveryId/redeliver', controller.redeliver);
+
+module.exports = router;
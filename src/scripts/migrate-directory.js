@@ -0,0 +1,102 @@
+// One-off migration: turn free-text companyName/branch/department/userName values on assets
+// into Company/Branch/Department/Employee records and link every asset to them.
+//
+// Usage: npm run migrate:directory [-- --dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Asset = require('../models/Asset.model');
+const { DIRECTORY_FIELDS, normalizeKey, distance, tolerance, loadResolver, applyDirectory } = require('../services/directory.service');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+// Helper: Group spellings of the same name ("IT", "I.T.", "it dept") into clusters.
+// The most frequent spelling becomes the canonical name, the rest become aliases.
+const cluster = (values) => {
+  const clusters = [];
+  [...values].sort((a, b) => b.count - a.count).forEach(({ value, count, companies }) => {
+    const key = normalizeKey(value);
+    if (!key) return;
+    const existing = clusters.find(c => c.key === key || distance(c.key, key) <= tolerance(c.key));
+    if (existing) {
+      if (!existing.aliases.includes(value)) existing.aliases.push(value);
+      existing.count += count;
+      companies.forEach(c => existing.companies.add(c));
+    } else {
+      clusters.push({ key, name: value, aliases: [], count, companies: new Set(companies) });
+    }
+  });
+  return clusters;
+};
+
+// Helper: Distinct values of an asset field with usage counts and the companies they appear in
+const distinctValues = (field) => Asset.aggregate([
+  { $match: { [field]: { $nin: [null, '', 'NA'] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 }, companies: { $addToSet: '$companyName' } } },
+  { $project: { _id: 0, value: '$_id', count: 1, companies: 1 } }
+]);
+
+// Helper: Create directory entries for one asset field
+const migrateField = async (field, resolver) => {
+  const { model } = DIRECTORY_FIELDS[field];
+  const clusters = cluster(await distinctValues(field))
+    .filter(c => !resolver.resolve(field, c.name)); // already in the directory
+
+  const docs = clusters.map(c => {
+    const doc = { name: c.name, aliases: c.aliases };
+    if (field !== 'companyName') {
+      // Scope to a company only when every asset using this name belongs to the same one
+      const companies = [...c.companies].map(name => resolver.resolve('companyName', name)?.entity._id);
+      const unique = new Set(companies.map(String));
+      if (unique.size === 1 && companies[0]) doc.company = companies[0];
+    }
+    return doc;
+  });
+
+  console.log(`${field}: ${docs.length} new ${model.modelName} record(s)`);
+  docs.forEach(d => console.log(`  + ${d.name}${d.aliases.length ? ` (aliases: ${d.aliases.join(', ')})` : ''}`));
+  if (!DRY_RUN && docs.length) await model.insertMany(docs, { ordered: false });
+};
+
+// Helper: Link every asset to its directory entries and canonicalize the names
+const linkAssets = async (resolver) => {
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!DRY_RUN && ops.length) await Asset.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Asset.find().select(Object.keys(DIRECTORY_FIELDS).join(' ')).lean().cursor();
+  for await (const asset of cursor) {
+    const data = Object.fromEntries(Object.keys(DIRECTORY_FIELDS).map(f => [f, asset[f]]));
+    applyDirectory(resolver, data);
+    ops.push({ updateOne: { filter: { _id: asset._id }, update: { $set: data } } });
+    updated++;
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`Linked ${updated} asset(s)`);
+};
+
+const run = async () => {
+  await connectDB();
+  if (DRY_RUN) console.log('Dry run: nothing will be written');
+
+  await migrateField('companyName', await loadResolver());
+
+  // Reload so branches/departments/employees can be scoped to the companies just created
+  const resolver = await loadResolver({ fresh: true });
+  for (const field of ['branch', 'department', 'userName']) {
+    await migrateField(field, resolver);
+  }
+
+  await linkAssets(await loadResolver({ fresh: true }));
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Migration failed:', err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
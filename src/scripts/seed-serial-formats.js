@@ -0,0 +1,40 @@
+// One-off setup: create the default serial format and the company prefixes that used to be
+// hardcoded in the serial service (OmTrans -> OMT, TGL -> TGL, OmTrax -> OMX).
+// Companies must already exist in the directory (see migrate:directory); missing ones are skipped.
+//
+// Usage: npm run seed:serial-formats
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const SerialFormat = require('../models/SerialFormat.model');
+const { getDefaultFormat } = require('../services/serial.service');
+const { loadResolver } = require('../services/directory.service');
+
+const LEGACY_PREFIXES = { OmTrans: 'OMT', TGL: 'TGL', OmTrax: 'OMX' };
+
+const run = async () => {
+  await connectDB();
+  await getDefaultFormat();
+
+  const resolver = await loadResolver();
+  for (const [name, prefix] of Object.entries(LEGACY_PREFIXES)) {
+    const company = resolver.resolve('companyName', name)?.entity;
+    if (!company) {
+      console.log(`Skipped ${name}: no matching company in the directory`);
+      continue;
+    }
+    const result = await SerialFormat.updateOne(
+      { company: company._id },
+      { $setOnInsert: { company: company._id, prefix } },
+      { upsert: true }
+    );
+    console.log(result.upsertedCount ? `${company.name} -> ${prefix}` : `${company.name} already has a serial format`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Seeding failed:', err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
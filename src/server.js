@@ -1,5 +1,8 @@
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startRetentionJob } = require('./services/trash.service');
+const { startDeliveryJob } = require('./services/webhook.service');
+const { startDigestJob } = require('./services/notification.service');
 const { PORT, NODE_ENV } = require('./config/environment');
 
 // Start server after DB connection
@@ -7,6 +10,9 @@ connectDB().then(() => {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT} [${NODE_ENV}]`);
   });
+  startRetentionJob();
+  startDeliveryJob();
+  startDigestJob();
 });
 
 // Handle errors
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset.model');
+const ApiError = require('../utils/ApiError');
+const audit = require('./audit.service');
+const { assetScope } = require('../config/permissions');
+const customFields = require('./customField.service');
+const { escapeRegex, searchClause } = require('./search.service');
+
+// Set only by an approved disposal request
+const DISPOSAL_FIELDS = ['disposalDate', 'disposalValue', 'disposalMethod'];
+
+// Fields clients may never set directly (ownership, trash state and disposal have dedicated flows)
+const PROTECTED_FIELDS = [
+  '_id', 'createdBy', 'isDeleted', 'deletedAt', 'deletedBy', 'createdAt', 'updatedAt', ...DISPOSAL_FIELDS
+];
+
+const DISPOSAL_REQUIRED = 'Assets are disposed through an approved disposal request (POST /assets/:id/disposal)';
+const DISPOSED_FINAL = 'Disposed assets cannot change status';
+
+// Query params understood by buildAssetQuery (plus "customFields.<key>" filters)
+const EXACT_FILTERS = ['companyName', 'branch', 'department', 'status', 'device', 'brand', 'operatingSystem'];
+const PARTIAL_FILTERS = ['userName', 'serialNumber', 'deviceSerialNo'];
+const FILTER_PARAMS = [...EXACT_FILTERS, ...PARTIAL_FILTERS, 'dateFrom', 'dateTo', 'createdBy', 'search'];
+
+// Fields asset listings can be sorted (and cursor-paginated) by
+const SORT_FIELDS = [
+  'createdAt', 'updatedAt', 'deletedAt', 'serialNumber', 'companyName', 'branch', 'department', 'userName',
+  'brand', 'device', 'status', 'dateOfPurchase', 'warrantyEnd', 'amcEnd', 'endOfLife', 'purchasePrice'
+];
+
+// Fields a listing can be narrowed to with fields= (internal fields stay out)
+const SELECTABLE_FIELDS = Object.keys(Asset.schema.paths).filter(f => !['_id', '__v', 'isDeleted'].includes(f));
+
+// Strip protected fields from an update payload
+const editableFields = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([field]) => !PROTECTED_FIELDS.includes(field)));
+
+// Why creating an asset (asset = null) or updating one would bypass the disposal workflow, or null.
+// New assets can't start Disposed or carry disposal details, and a disposed asset stays Disposed.
+const disposalViolation = (asset, data) => {
+  if (!asset) {
+    return data.status === 'Disposed' || DISPOSAL_FIELDS.some(f => data[f] != null) ? DISPOSAL_REQUIRED : null;
+  }
+  if (data.status === undefined || data.status === asset.status) return null;
+  if (data.status === 'Disposed') return DISPOSAL_REQUIRED;
+  return asset.status === 'Disposed' ? DISPOSED_FINAL : null;
+};
+
+// Apply a partial update to an asset document and audit the field-level changes.
+// With dryRun the document is validated and diffed but not saved.
+const applyAssetUpdate = async (asset, updates, user, { dryRun = false } = {}) => {
+  const before = asset.toObject({ flattenMaps: true });
+  Object.assign(asset, updates);
+  const changes = audit.diff(before, asset.toObject({ flattenMaps: true }), Object.keys(updates));
+
+  if (dryRun) {
+    await asset.validate();
+  } else if (changes.length) {
+    await asset.save();
+    await audit.record(asset, 'update', user, { changes });
+  }
+  return changes;
+};
+
+// Build the asset filter query from request query params (shared by listing, trash, export, bulk and stats)
+const buildAssetQuery = async (params, user, { deleted = false } = {}) => {
+  const { search, dateFrom, dateTo, ...filters } = params;
+
+  // Build filter query
+  const query = { isDeleted: deleted };
+  
+  // Exact match filters (support comma-separated multiple values)
+  EXACT_FILTERS.forEach(f => {
+    if (filters[f]) {
+      const values = filters[f].split(',').map(v => v.trim()).filter(Boolean);
+      query[f] = values.length > 1 ? { $in: values } : values[0];
+    }
+  });
+  
+  // Partial match filters (case-insensitive)
+  PARTIAL_FILTERS.forEach(f => {
+    if (filters[f]) query[f] = new RegExp(escapeRegex(String(filters[f])), 'i');
+  });
+  
+  // Date range filter for dateOfPurchase
+  if (dateFrom || dateTo) {
+    query.dateOfPurchase = {};
+    if (dateFrom) query.dateOfPurchase.$gte = new Date(dateFrom);
+    if (dateTo) query.dateOfPurchase.$lte = new Date(dateTo);
+  }
+  
+  // Custom field filters ("customFields.ram=16", ranges like "customFields.ram=8..32")
+  Object.assign(query, await customFields.filterQuery(filters, filters.device));
+
+  // Created by filter (users without read:any only ever see their own assets)
+  if (filters.createdBy) query.createdBy = filters.createdBy;
+  Object.assign(query, assetScope(user));
+  
+  // Global search: text index, serial number prefixes and typo-tolerant names
+  const clause = search ? await searchClause(search, user) : null;
+  if (clause) query.$or = clause;
+
+  return query;
+};
+
+// Validate sortBy against SORT_FIELDS. Returns { field, dir, sort }, where sort breaks ties by _id
+// so the order is stable across pages.
+const parseSort = (sortBy = 'createdAt', order = 'desc') => {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw ApiError.badRequest(`Cannot sort by ${sortBy}. Use one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const dir = order === 'asc' ? 1 : -1;
+  return { field: sortBy, dir, sort: { [sortBy]: dir, _id: dir } };
+};
+
+// Parse a comma-separated fields= list into field names (null = all fields)
+const parseFields = (fields) => {
+  if (!fields) return null;
+  const list = [...new Set(String(fields).split(',').map(f => f.trim()).filter(Boolean))];
+  const unknown = list.filter(f => !SELECTABLE_FIELDS.includes(f));
+  if (unknown.length) throw ApiError.badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+  return list.length ? list : null;
+};
+
+// Opaque cursor pointing just past an asset in a sort order (the sort is encoded so a cursor
+// cannot be replayed against a different one)
+const encodeCursor = (asset, { field, dir }) =>
+  Buffer.from(JSON.stringify({ f: field, d: dir, v: asset[field] ?? null, id: asset._id })).toString('base64url');
+
+// Decode a cursor made by encodeCursor for the same sort into { value, id }
+const decodeCursor = (cursor, { field, dir }) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+  if (!parsed || !mongoose.isValidObjectId(parsed.id)) throw ApiError.badRequest('Invalid cursor');
+  if (parsed.f !== field || parsed.d !== dir) throw ApiError.badRequest('Cursor was issued for a different sortBy/order');
+
+  const isDate = Asset.schema.path(field).instance === 'Date';
+  return { value: isDate && parsed.v != null ? new Date(parsed.v) : parsed.v, id: parsed.id };
+};
+
+// Filter for the assets after a decoded cursor. Null sorts before every value, and range
+// operators never match null, so missing values get their own branches.
+const cursorClause = ({ value, id }, { field, dir }) => {
+  const op = dir === 1 ? '$gt' : '$lt';
+  const tie = { [field]: value, _id: { [op]: id } };
+  if (value === null) return dir === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+  return { $or: [{ [field]: { [op]: value } }, tie, ...(dir === 1 ? [] : [{ [field]: null }])] };
+};
+
+// Helper: Prefix every field of a filter, e.g. for matching assets joined with $lookup as "asset."
+const prefixQuery = (query, prefix) => Object.fromEntries(Object.entries(query).map(([key, value]) =>
+  (['$or', '$and', '$nor'].includes(key) ? [key, value.map(q => prefixQuery(q, prefix))] : [`${prefix}${key}`, value])));
+
+// $match stage for an asset filter; aggregation skips schema casting, so cast it (e.g. createdBy) as find() would.
+// prefix targets assets embedded under another field (e.g. "asset.").
+const aggregateMatch = (query, prefix = '') => {
+  const cast = Asset.find().cast(Asset, query);
+  return { $match: prefix ? prefixQuery(cast, prefix) : cast };
+};
+
+module.exports = {
+  PROTECTED_FIELDS, FILTER_PARAMS, SORT_FIELDS, SELECTABLE_FIELDS, editableFields, disposalViolation, applyAssetUpdate,
+  buildAssetQuery, parseSort, parseFields, encodeCursor, decodeCursor, cursorClause, aggregateMatch
+};
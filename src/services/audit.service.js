@@ -0,0 +1,49 @@
+const AuditLog = require('../models/AuditLog.model');
+
+// Fields never reported in diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'createdBy'];
+
+// Helper: Normalize values so dates/ObjectIds compare by content
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return String(value);
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Field-level diff between two plain asset objects
+exports.diff = (before, after, fields = Object.keys(after)) =>
+  fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => normalize(before[field]) !== normalize(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+
+// Helper: Build one log entry
+const entry = (asset, action, user, { changes = [], meta } = {}) => ({
+  asset: asset._id,
+  serialNumber: asset.serialNumber,
+  action,
+  changes,
+  performedBy: user?._id,
+  meta
+});
+
+// Record a single asset event. Audit failures are logged, never surfaced to the caller.
+exports.record = async (asset, action, user, details) => {
+  try {
+    await AuditLog.create(entry(asset, action, user, details));
+  } catch (err) {
+    console.error('❌ Audit log failed:', err.message);
+  }
+};
+
+// Record the same event for many assets at once (bulk/Excel imports)
+exports.recordMany = async (assets, action, user, details) => {
+  if (!assets.length) return;
+  try {
+    await AuditLog.insertMany(assets.map(asset => entry(asset, action, user, details)), { ordered: false });
+  } catch (err) {
+    console.error('❌ Audit log failed:', err.message);
+  }
+};
@@ -0,0 +1,120 @@
+const CustomField = require('../models/CustomField.model');
+const ApiError = require('../utils/ApiError');
+const { escapeRegex } = require('./search.service');
+
+const MAX_TEXT_LENGTH = 500;
+const FILTER_PREFIX = 'customFields.'; // list filters and export columns name custom fields "customFields.<key>"
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Plain object of an asset's stored custom values (a Map on documents, an object when lean)
+const plainValues = (values) => (values instanceof Map ? Object.fromEntries(values) : { ...(values || {}) });
+
+// Custom field definitions, optionally only those of one or more device types
+const definitionsFor = (devices) => {
+  const list = [].concat(devices || []).filter(Boolean);
+  return CustomField.find(list.length ? { device: { $in: list } } : {}).sort({ device: 1, label: 1 }).lean();
+};
+
+// Convert one input value to the field's type. Returns { value } or { error }.
+const coerce = (def, value) => {
+  switch (def.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+      return Number.isFinite(n) ? { value: n } : { error: `${def.label} must be a number` };
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? { error: `${def.label} must be a date` } : { value: date };
+    }
+    case 'enum': {
+      const option = def.options.find(o => o.toLowerCase() === String(value).trim().toLowerCase());
+      return option ? { value: option } : { error: `${def.label} must be one of: ${def.options.join(', ')}` };
+    }
+    default: {
+      const text = String(value).trim();
+      return text.length > MAX_TEXT_LENGTH
+        ? { error: `${def.label} must be at most ${MAX_TEXT_LENGTH} characters` }
+        : { value: text };
+    }
+  }
+};
+
+// Validate custom values against the definitions of the asset's device type and merge them over
+// the existing values (null or blank removes a value). Values of fields the device type does not
+// define are dropped from existing data (e.g. after a device change) but rejected in the input.
+// checkRequired: also report required fields left without a value.
+// Returns { values, errors }.
+const checkValues = (input, definitions, { existing = {}, checkRequired = true } = {}) => {
+  const defs = new Map(definitions.map(d => [d.key, d]));
+  const values = Object.fromEntries(Object.entries(plainValues(existing)).filter(([key]) => defs.has(key)));
+  const errors = [];
+
+  Object.entries(input || {}).forEach(([key, raw]) => {
+    const def = defs.get(key);
+    if (!def) {
+      errors.push(`Unknown custom field "${key}"`);
+    } else if (isEmpty(raw)) {
+      delete values[key];
+    } else {
+      const { value, error } = coerce(def, raw);
+      if (error) errors.push(error);
+      else values[key] = value;
+    }
+  });
+
+  if (checkRequired) {
+    definitions.filter(d => d.required && values[d.key] === undefined).forEach(d => errors.push(`${d.label} is required`));
+  }
+  return { values, errors };
+};
+
+// Export columns ({ "customFields.<key>": label }) for a set of definitions, one per key
+const columns = (definitions) => {
+  const result = {};
+  definitions.forEach(d => { result[`${FILTER_PREFIX}${d.key}`] ??= d.label; });
+  return result;
+};
+
+// Helper: Filter condition for one custom field query value. Numbers and dates take a range
+// "min..max" (either end optional); other types take comma-separated values.
+const condition = (def, raw) => {
+  const value = String(raw).trim();
+  if (['number', 'date'].includes(def.type) && value.includes('..')) {
+    const [min, max] = value.split('..').map(v => v.trim());
+    const cond = {};
+    [['$gte', min], ['$lte', max]].filter(([, v]) => v).forEach(([op, v]) => {
+      const { value: bound, error } = coerce(def, v);
+      if (error) throw ApiError.badRequest(error);
+      cond[op] = bound;
+    });
+    return cond;
+  }
+
+  const values = value.split(',').map(v => v.trim()).filter(Boolean).map(v => {
+    if (def.type === 'string') return new RegExp(escapeRegex(v), 'i');
+    const { value: cast, error } = coerce(def, v);
+    if (error) throw ApiError.badRequest(error);
+    return cast;
+  });
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+// Query conditions for "customFields.<key>" params, typed by the field definitions
+// (narrowed to the device filter when one is given)
+const filterQuery = async (params, device) => {
+  const keys = Object.keys(params).filter(p => p.startsWith(FILTER_PREFIX) && !isEmpty(params[p]));
+  if (!keys.length) return {};
+
+  const devices = device ? String(device).split(',').map(d => d.trim()) : null;
+  const definitions = await definitionsFor(devices);
+  const query = {};
+  keys.forEach(param => {
+    const def = definitions.find(d => `${FILTER_PREFIX}${d.key}` === param);
+    if (!def) throw ApiError.badRequest(`Unknown custom field filter: ${param}`);
+    query[param] = condition(def, params[param]);
+  });
+  return query;
+};
+
+module.exports = { FILTER_PREFIX, plainValues, definitionsFor, coerce, checkValues, columns, filterQuery };
@@ -0,0 +1,113 @@
+const { DEFAULT_CURRENCY, DEFAULT_USEFUL_LIFE_YEARS } = require('../config/environment');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Asset fields needed to value an asset
+const VALUATION_FIELDS = 'serialNumber companyName branch device brand status dateOfPurchase purchasePrice currency ' +
+  'depreciationMethod usefulLifeYears salvageValue depreciationRate';
+
+// Grouping dimensions of the valuation summary -> asset fields making up the group
+const VALUATION_GROUPS = { company: ['companyName'], branch: ['companyName', 'branch'], device: ['device'] };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Annual written-down value rate (0-1) that takes cost down to salvage over the useful life
+const wdvRate = (cost, salvage, life) => 1 - Math.pow(salvage / cost, 1 / life);
+
+// Book value of an asset as of a date, or null when it has no purchase price.
+// Straight line spreads (cost - salvage) evenly over the useful life; written-down value applies
+// a fixed annual rate to the remaining value. Neither goes below the salvage value.
+const valueAsset = (asset, asOf = new Date()) => {
+  if (asset.purchasePrice == null) return null;
+
+  const cost = asset.purchasePrice;
+  const salvage = Math.min(asset.salvageValue || 0, cost);
+  const life = asset.usefulLifeYears || DEFAULT_USEFUL_LIFE_YEARS;
+  const method = asset.depreciationMethod || 'straight_line';
+  const ageYears = Math.max(0, (asOf - new Date(asset.dateOfPurchase)) / YEAR_MS);
+
+  let value;
+  let rate;
+  if (method === 'wdv') {
+    rate = asset.depreciationRate != null ? asset.depreciationRate / 100 : wdvRate(cost, salvage, life);
+    value = cost * Math.pow(1 - rate, ageYears);
+  } else {
+    rate = (cost - salvage) / life / (cost || 1);
+    value = cost - (cost - salvage) * Math.min(ageYears / life, 1);
+  }
+  const bookValue = round2(Math.max(salvage, value));
+
+  return {
+    currency: asset.currency || DEFAULT_CURRENCY,
+    purchasePrice: cost,
+    method,
+    usefulLifeYears: life,
+    annualRate: round2(rate * 100),
+    ageYears: round2(ageYears),
+    accumulatedDepreciation: round2(cost - bookValue),
+    bookValue,
+    fullyDepreciated: bookValue <= salvage
+  };
+};
+
+// Running totals per group and currency (amounts in different currencies are never added up)
+const createTotals = (fields = []) => {
+  const groups = new Map();
+  return {
+    add(asset, valuation) {
+      const id = JSON.stringify([...fields.map(f => asset[f]), valuation.currency]);
+      if (!groups.has(id)) {
+        groups.set(id, {
+          ...Object.fromEntries(fields.map(f => [f, asset[f]])),
+          currency: valuation.currency, assets: 0, purchasePrice: 0, accumulatedDepreciation: 0, bookValue: 0
+        });
+      }
+      const g = groups.get(id);
+      g.assets++;
+      g.purchasePrice += valuation.purchasePrice;
+      g.accumulatedDepreciation += valuation.accumulatedDepreciation;
+      g.bookValue += valuation.bookValue;
+    },
+    // Rows sorted by book value, largest first
+    rows() {
+      return [...groups.values()]
+        .map(g => ({
+          ...g,
+          purchasePrice: round2(g.purchasePrice),
+          accumulatedDepreciation: round2(g.accumulatedDepreciation),
+          bookValue: round2(g.bookValue)
+        }))
+        .sort((a, b) => b.bookValue - a.bookValue);
+    }
+  };
+};
+
+// Value every asset from an (async) iterable: per-asset rows plus totals overall and per group.
+// Assets without a purchase price are only counted (unpriced).
+const valuePortfolio = async (assets, asOf) => {
+  const overall = createTotals();
+  const grouped = Object.fromEntries(Object.entries(VALUATION_GROUPS).map(([g, fields]) => [g, createTotals(fields)]));
+  const rows = [];
+  let unpriced = 0;
+
+  for await (const asset of assets) {
+    const valuation = valueAsset(asset, asOf);
+    if (!valuation) { unpriced++; continue; }
+
+    const { _id, serialNumber, companyName, branch, device, brand, dateOfPurchase } = asset;
+    rows.push({ _id, serialNumber, companyName, branch, device, brand, dateOfPurchase, ...valuation });
+    overall.add(asset, valuation);
+    Object.values(grouped).forEach(totals => totals.add(asset, valuation));
+  }
+
+  return {
+    rows,
+    unpriced,
+    totals: overall.rows(),
+    byCompany: grouped.company.rows(),
+    byBranch: grouped.branch.rows(),
+    byDevice: grouped.device.rows()
+  };
+};
+
+module.exports = { VALUATION_FIELDS, VALUATION_GROUPS, wdvRate, valueAsset, valuePortfolio };
@@ -0,0 +1,169 @@
+const Company = require('../models/Company.model');
+const Branch = require('../models/Branch.model');
+const Department = require('../models/Department.model');
+const Employee = require('../models/Employee.model');
+
+// Asset name field -> directory model and the asset field holding its reference
+const DIRECTORY_FIELDS = {
+  companyName: { model: Company, ref: 'companyId' },
+  branch: { model: Branch, ref: 'branchId', scoped: true },
+  department: { model: Department, ref: 'departmentId', scoped: true },
+  userName: { model: Employee, ref: 'employeeId', scoped: true }
+};
+
+// Words that carry no meaning when comparing names ("IT Dept" == "IT")
+const NOISE_WORDS = ['dept', 'department', 'team', 'division', 'branch', 'office', 'pvt', 'private', 'ltd', 'limited', 'inc', 'co'];
+
+// Normalize a name into a comparison key: "I.T." / "it dept" / "IT" -> "it"
+const normalizeKey = (value) => {
+  const words = String(value || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(Boolean);
+  const meaningful = words.filter(w => !NOISE_WORDS.includes(w));
+  return (meaningful.length ? meaningful : words).join('');
+};
+
+// Edit distance between two keys (Damerau-Levenshtein, optimal string alignment):
+// insertions, deletions, substitutions and adjacent transpositions each cost 1
+const distance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Typos tolerated for a key of this length (short names must match exactly)
+const tolerance = (key) => (key.length <= 3 ? 0 : key.length <= 7 ? 1 : 2);
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === 'NA';
+
+// How long a loaded resolver is reused. Directory writes on this server invalidate it at once;
+// the TTL bounds how stale it can get when another server (or a script) changes the directory.
+const RESOLVER_TTL = 60 * 1000;
+let cached = null; // { promise, loadedAt }
+
+// Helper: Load the active directory into memory and build a name resolver
+const buildResolver = async () => {
+  const types = Object.keys(DIRECTORY_FIELDS);
+  const lists = await Promise.all(types.map(field =>
+    DIRECTORY_FIELDS[field].model.find({ isActive: true }).select('name aliases company').lean()
+  ));
+
+  const index = {};
+  types.forEach((field, i) => {
+    const byKey = new Map();
+    const byId = new Map();
+    lists[i].forEach(entity => {
+      byId.set(String(entity._id), entity);
+      [entity.name, ...(entity.aliases || [])].forEach(name => {
+        const key = normalizeKey(name);
+        if (key && !byKey.has(key)) byKey.set(key, entity);
+      });
+    });
+    index[field] = { byKey, byId };
+  });
+
+  // Resolve a name for an asset field; companyId narrows branch/department/employee candidates
+  const resolve = (field, value, companyId) => {
+    const { byKey } = index[field];
+    const inScope = (entity) => !DIRECTORY_FIELDS[field].scoped || !companyId || !entity.company ||
+      String(entity.company) === String(companyId);
+
+    const key = normalizeKey(value);
+    if (!key) return null;
+    const exact = byKey.get(key);
+    if (exact && inScope(exact)) return { entity: exact, matchedBy: 'exact' };
+
+    // Fuzzy: nearest key within tolerance, rejected when two different entities tie
+    let best = null;
+    let bestDistance = Infinity;
+    let ambiguous = false;
+    for (const [candidateKey, entity] of byKey) {
+      if (!inScope(entity)) continue;
+      // Keys whose lengths differ by more than the tolerance can't be within it
+      if (Math.abs(candidateKey.length - key.length) > tolerance(candidateKey)) continue;
+      const d = distance(key, candidateKey);
+      if (d > tolerance(candidateKey)) continue;
+      if (d < bestDistance) {
+        best = entity;
+        bestDistance = d;
+        ambiguous = false;
+      } else if (d === bestDistance && String(entity._id) !== String(best._id)) {
+        ambiguous = true;
+      }
+    }
+    return best && !ambiguous ? { entity: best, matchedBy: 'fuzzy' } : null;
+  };
+
+  const findById = (field, id) => index[field].byId.get(String(id)) || null;
+
+  return { resolve, findById };
+};
+
+// The directory name resolver, shared until the directory changes or RESOLVER_TTL passes
+// (fresh: reload now, e.g. right after a bulk write that bypassed invalidateResolver)
+const loadResolver = ({ fresh = false } = {}) => {
+  if (fresh || !cached || Date.now() - cached.loadedAt > RESOLVER_TTL) {
+    const promise = buildResolver();
+    cached = { promise, loadedAt: Date.now() };
+    promise.catch(() => { if (cached?.promise === promise) cached = null; });
+  }
+  return cached.promise;
+};
+
+// Drop the shared resolver; call after any write to a directory collection
+const invalidateResolver = () => { cached = null; };
+
+// Link the directory fields present on a plain asset object to directory entities.
+// Matches replace the free-text value with the canonical name; unknown values are kept and reported.
+// exact: only exact names and aliases link, so a typed name is never swapped for a similar one
+// (manual edits, where nobody reviews a fuzzy match before it is saved).
+const applyDirectory = (resolver, asset, { companyId, exact = false } = {}) => {
+  const unknown = [];
+  const fuzzy = [];
+
+  Object.entries(DIRECTORY_FIELDS).forEach(([field, { ref }]) => {
+    const scope = asset.companyId || companyId;
+
+    // An explicit reference wins over the name
+    if (asset[ref]) {
+      const entity = resolver.findById(field, asset[ref]);
+      if (!entity) {
+        unknown.push({ field, value: String(asset[ref]) });
+        asset[ref] = null;
+      } else {
+        asset[field] = entity.name;
+      }
+      return;
+    }
+
+    if (!(field in asset)) return;
+    if (isBlank(asset[field])) { asset[ref] = null; return; }
+
+    const match = resolver.resolve(field, asset[field], scope);
+    if (!match || (exact && match.matchedBy === 'fuzzy')) {
+      unknown.push({ field, value: asset[field] });
+      asset[ref] = null;
+      return;
+    }
+    if (match.matchedBy === 'fuzzy') fuzzy.push({ field, value: asset[field], matched: match.entity.name });
+    asset[ref] = match.entity._id;
+    asset[field] = match.entity.name;
+  });
+
+  return { unknown, fuzzy };
+};
+
+// Whether an object carries any directory name or reference field
+const touchesDirectory = (obj) =>
+  Object.entries(DIRECTORY_FIELDS).some(([field, { ref }]) => field in obj || ref in obj);
+
+module.exports = {
+  DIRECTORY_FIELDS, normalizeKey, distance, tolerance, loadResolver, invalidateResolver, applyDirectory, touchesDirectory
+};
@@ -0,0 +1,80 @@
+const { once } = require('events');
+const XLSX = require('xlsx');
+const ApiError = require('../utils/ApiError');
+const { XLSX_MAX_ROWS } = require('../config/environment');
+
+const EXPORT_FORMATS = ['json', 'xlsx', 'csv'];
+
+// Resolve a "columns=a,b,c" query value against the available columns ({ field: header }).
+// Returns [{ field, header }] in the requested order, or throws listing unknown fields.
+const resolveColumns = (requested, available) => {
+  const fields = requested
+    ? requested.split(',').map(f => f.trim()).filter(Boolean)
+    : Object.keys(available);
+  const unknown = fields.filter(f => !available[f]);
+  if (unknown.length) throw ApiError.badRequest(`Unknown export column(s): ${unknown.join(', ')}`);
+  return fields.map(field => ({ field, header: available[field] }));
+};
+
+// Helper: Read a (possibly dotted) path from a document
+const pick = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Turn a document into [values] for the given columns; format(field, value, doc) customizes cells
+const toRow = (doc, columns, format) =>
+  columns.map(({ field }) => {
+    const value = pick(doc, field);
+    return format ? format(field, value, doc) : value;
+  });
+
+// Helper: Escape a CSV cell; a leading = + - @ is neutralized so spreadsheets don't run it as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Helper: Attachment headers
+const attachment = (res, filename, contentType) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+// Stream documents from a cursor (or any async iterable) as a CSV download
+const streamCsv = async (res, docs, columns, filename, format) => {
+  attachment(res, `${filename}.csv`, 'text/csv; charset=utf-8');
+  res.write(`\uFEFF${columns.map(c => csvCell(c.header)).join(',')}\r\n`); // BOM so Excel detects UTF-8
+
+  for await (const doc of docs) {
+    const line = `${toRow(doc, columns, format).map(csvCell).join(',')}\r\n`;
+    if (!res.write(line)) await once(res, 'drain');
+  }
+  res.end();
+};
+
+// Send documents as an .xlsx download; extraSheets: [{ name, rows: [[...]] }] appended after the data sheet.
+// The workbook is built in memory, so more than XLSX_MAX_ROWS documents are refused (csv streams instead).
+const sendXlsx = async (res, docs, columns, filename, format, { sheetName = 'Assets', extraSheets = [] } = {}) => {
+  const rows = [columns.map(c => c.header)];
+  for await (const doc of docs) {
+    if (rows.length > XLSX_MAX_ROWS) {
+      throw ApiError.badRequest(`xlsx downloads are limited to ${XLSX_MAX_ROWS} rows; narrow the filters or use format=csv`);
+    }
+    rows.push(toRow(doc, columns, format));
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows, { cellDates: true }), sheetName);
+  extraSheets.forEach(sheet => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name));
+
+  attachment(res, `${filename}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }));
+};
+
+// Send docs in the requested file format (xlsx or csv)
+const sendFile = (format, ...args) => (format === 'csv' ? streamCsv(...args) : sendXlsx(...args));
+
+// Filename-friendly timestamp, e.g. assets-20240115-1030
+const stamp = (prefix) => `${prefix}-${new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}`;
+
+module.exports = { EXPORT_FORMATS, resolveColumns, toRow, csvCell, streamCsv, sendXlsx, sendFile, stamp };
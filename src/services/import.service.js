@@ -0,0 +1,477 @@
+const XLSX = require('xlsx');
+const Asset = require('../models/Asset.model');
+const ApiError = require('../utils/ApiError');
+const audit = require('./audit.service');
+const directory = require('./directory.service');
+const { fillSerialNumbers } = require('./serial.service');
+const customFields = require('./customField.service');
+const transfers = require('./transfer.service');
+const webhooks = require('./webhook.service');
+const notifications = require('./notification.service');
+const { editableFields, disposalViolation, applyAssetUpdate } = require('./asset.service');
+const { COLUMN_MAP } = require('../utils/assetColumns');
+
+const MAX_ROWS = 5000;
+const IMPORT_MODES = ['insert', 'update', 'upsert'];
+const MATCH_FIELDS = ['serialNumber', 'deviceSerialNo'];
+const BATCH_SIZE = 500;
+
+const DEVICE_TYPES = Asset.schema.path('device').enumValues;
+const DEFAULT_DEVICE = Asset.schema.path('device').defaultValue;
+const STATUS_TYPES = Asset.schema.path('status').enumValues;
+const TEXT_FIELDS = ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo', 'operatingSystem', 'remark'];
+const DATA_FIELDS = ['companyName', 'branch', 'department', 'userName', 'brand', 'device', 'deviceSerialNo'];
+const LIFECYCLE_DATES = { warrantyStart: 'warranty start', warrantyEnd: 'warranty end', amcStart: 'AMC start', amcEnd: 'AMC end', endOfLife: 'end of life' };
+const OPTIONAL_TEXT = ['warrantyVendor', 'amcVendor', 'amcContractNo', 'invoiceNumber', 'supplier'];
+const NUMBER_FIELDS = {
+  amcCost: 'AMC cost', purchasePrice: 'purchase price', salvageValue: 'salvage value',
+  usefulLifeYears: 'useful life', depreciationRate: 'depreciation rate'
+};
+// Spreadsheet spellings of depreciation methods
+const DEPRECIATION_METHODS = {
+  straight_line: 'straight_line', 'straight line': 'straight_line', 'straight-line': 'straight_line', slm: 'straight_line', sl: 'straight_line',
+  wdv: 'wdv', 'written down value': 'wdv', 'written-down value': 'wdv', 'reducing balance': 'wdv', 'declining balance': 'wdv'
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '' || value === 'NA';
+
+// Parse the first sheet of an uploaded workbook into { headers, rawRows }
+const parseWorkbook = (buffer) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  } catch (err) {
+    if (err.message?.includes('Encrypted')) throw ApiError.badRequest('Cannot read password-protected Excel files');
+    throw err;
+  }
+
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rawRows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+  if (!rawRows.length) throw ApiError.badRequest('Excel file is empty');
+  if (rawRows.length > MAX_ROWS) throw ApiError.badRequest(`Maximum ${MAX_ROWS} records allowed per file`);
+
+  const headers = Object.keys(rawRows[0]);
+  return { headers, rawRows };
+};
+
+// Spreadsheet headers of custom fields (label, key or "customFields.<key>", any case) -> "customFields.<key>"
+const customColumnMap = (definitions) => {
+  const map = {};
+  definitions.forEach(d => {
+    const field = `${customFields.FILTER_PREFIX}${d.key}`;
+    [d.label, d.key, field].forEach(name => { map[name.toLowerCase()] ??= field; });
+  });
+  return map;
+};
+
+// Map headers to schema fields (built-in columns before custom fields); when two headers map
+// to one field the first wins
+const detectMapping = (headers, definitions = []) => {
+  const customColumns = customColumnMap(definitions);
+  const used = new Set();
+  return headers.map(header => {
+    const name = header.toLowerCase().trim();
+    const field = COLUMN_MAP[name] || customColumns[name] || null;
+    if (!field || used.has(field)) return { header, field: null };
+    used.add(field);
+    return { header, field };
+  });
+};
+
+// Helper: Parse a date cell (Date, Excel serial number or text); null when unparseable
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    const d = XLSX.SSF.parse_date_code(value);
+    return d ? new Date(Date.UTC(d.y, d.m - 1, d.d)) : null;
+  }
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Helper: Validate and normalize one mapped row, collecting errors (row rejected) and warnings (row imported)
+const checkRow = (data) => {
+  const errors = [];
+  const warnings = [];
+
+  const defaulted = TEXT_FIELDS.filter(f => !['device', 'remark'].includes(f) && isBlank(data[f]));
+  defaulted.forEach(f => { data[f] = 'NA'; });
+  if (defaulted.length) warnings.push(`Blank fields stored as NA: ${defaulted.join(', ')}`);
+  data.remark = isBlank(data.remark) ? '' : String(data.remark);
+
+  if (isBlank(data.device)) {
+    data.device = 'NA';
+  } else {
+    const device = DEVICE_TYPES.find(d => d.toLowerCase() === String(data.device).toLowerCase());
+    if (!device) warnings.push(`Unknown device "${data.device}" stored as Other`);
+    data.device = device || 'Other';
+  }
+
+  if (isBlank(data.status)) {
+    data.status = 'Active';
+  } else {
+    const status = STATUS_TYPES.find(st => st.toLowerCase() === String(data.status).toLowerCase());
+    if (!status) errors.push(`Invalid status "${data.status}" (expected ${STATUS_TYPES.join(', ')})`);
+    data.status = status || data.status;
+  }
+
+  if (isBlank(data.dateOfPurchase)) {
+    warnings.push('No purchase date, today will be used');
+    data.dateOfPurchase = new Date();
+  } else {
+    const date = parseDate(data.dateOfPurchase);
+    if (!date) errors.push(`Invalid purchase date "${data.dateOfPurchase}"`);
+    else data.dateOfPurchase = date;
+  }
+
+  if (data.remark && data.remark.length > 500) errors.push('Remark longer than 500 characters');
+
+  // Warranty / AMC / end of life are optional: blanks are stored empty
+  Object.entries(LIFECYCLE_DATES).forEach(([field, label]) => {
+    if (!(field in data)) return;
+    if (isBlank(data[field])) { data[field] = null; return; }
+    const date = parseDate(data[field]);
+    if (!date) errors.push(`Invalid ${label} date "${data[field]}"`);
+    else data[field] = date;
+  });
+  if (data.warrantyStart && data.warrantyEnd && data.warrantyEnd < data.warrantyStart) errors.push('Warranty end is before warranty start');
+  if (data.amcStart && data.amcEnd && data.amcEnd < data.amcStart) errors.push('AMC end is before AMC start');
+  OPTIONAL_TEXT.filter(f => f in data).forEach(f => { data[f] = isBlank(data[f]) ? '' : String(data[f]); });
+
+  // Amounts may carry thousands separators ("1,20,000")
+  Object.entries(NUMBER_FIELDS).filter(([f]) => f in data).forEach(([field, label]) => {
+    const value = isBlank(data[field]) ? null : Number(String(data[field]).replace(/[,\s]/g, ''));
+    if (Number.isNaN(value) || value < 0) errors.push(`Invalid ${label} "${data[field]}"`);
+    else data[field] = value;
+  });
+  if (data.salvageValue === null) data.salvageValue = 0;
+
+  if ('currency' in data) {
+    if (isBlank(data.currency)) data.currency = null;
+    else if (!/^[A-Za-z]{3}$/.test(String(data.currency).trim())) errors.push(`Invalid currency "${data.currency}" (expected a 3-letter code)`);
+    else data.currency = String(data.currency).trim().toUpperCase();
+  }
+
+  if ('depreciationMethod' in data) {
+    if (isBlank(data.depreciationMethod)) {
+      delete data.depreciationMethod;
+    } else {
+      const method = DEPRECIATION_METHODS[String(data.depreciationMethod).trim().toLowerCase()];
+      if (!method) errors.push(`Unknown depreciation method "${data.depreciationMethod}" (expected straight line or WDV)`);
+      else data.depreciationMethod = method;
+    }
+  }
+
+  if (isBlank(data.serialNumber)) delete data.serialNumber;
+  else data.serialNumber = String(data.serialNumber).trim().toUpperCase();
+
+  return { errors, warnings };
+};
+
+// Helper: Move "customFields.<key>" cells of a mapped row into data.customFields (blanks are left out)
+const collectCustomFields = (data) => {
+  const values = {};
+  Object.keys(data).filter(f => f.startsWith(customFields.FILTER_PREFIX)).forEach(f => {
+    if (!isBlank(data[f])) values[f.slice(customFields.FILTER_PREFIX.length)] = data[f];
+    delete data[f];
+  });
+  if (Object.keys(values).length) data.customFields = values;
+};
+
+// Helper: Type-check a row's custom field values against the fields of its device type. Values
+// for fields the type does not define are ignored with a warning; required fields are checked
+// once the row is known to create an asset (see matchExisting).
+const checkCustomFields = (row, definitions, device = row.data.device) => {
+  const { data } = row;
+  if (!data.customFields) return;
+  if (typeof data.customFields !== 'object' || Array.isArray(data.customFields)) {
+    row.errors.push('customFields must be an object');
+    return;
+  }
+  const defs = definitions.filter(d => d.device === device);
+  const input = {};
+  Object.entries(data.customFields).forEach(([key, value]) => {
+    const def = defs.find(d => d.key === key);
+    if (!def) row.warnings.push(`Custom field "${key}" is not defined for ${device}, ignored`);
+    else input[key] = def.type === 'date' ? parseDate(value) ?? value : value;
+  });
+  const { values, errors } = customFields.checkValues(input, defs, { checkRequired: false });
+  row.errors.push(...errors);
+  data.customFields = values;
+};
+
+// Helper: Report directory links as row warnings
+const linkRow = (resolver, row) => {
+  const links = directory.applyDirectory(resolver, row.data);
+  links.unknown.forEach(({ field, value }) => row.warnings.push(`Unknown ${field} "${value}" (not in directory)`));
+  links.fuzzy.forEach(({ field, value, matched }) => row.warnings.push(`${field} "${value}" matched to "${matched}"`));
+};
+
+// Helper: Fields an update row may write: values present in the source (blanks never overwrite
+// existing data) plus the directory references resolved from them. Custom field values are
+// merged over the existing asset's.
+const updatableData = (row, existing) => {
+  const updates = {};
+  row.provided.forEach(field => {
+    if (field in row.data) updates[field] = row.data[field];
+    const link = directory.DIRECTORY_FIELDS[field];
+    if (link) updates[link.ref] = row.data[link.ref];
+  });
+  if (updates.customFields) {
+    updates.customFields = { ...customFields.plainValues(existing.customFields), ...updates.customFields };
+  }
+  return editableFields(updates);
+};
+
+// Decide per row whether it creates or updates an asset, according to the import mode:
+// insert (existing match is an error), update (missing match is an error) or upsert.
+// Update rows may only change an asset's location with relocate (see transfer.service).
+// Update rows get action 'update' with the matched assetId and a preview of field changes;
+// create rows must have every required custom field of their device type.
+const matchExisting = async (rows, { mode = 'insert', matchBy = 'serialNumber', relocate = false } = {}, definitions = []) => {
+  const candidates = rows.filter(r => !r.empty && !r.errors.length);
+
+  // Duplicate keys inside the source
+  const keyOf = (r) => (isBlank(r.data[matchBy]) ? null : String(r.data[matchBy]).trim().toUpperCase());
+  const seen = new Map();
+  candidates.forEach(r => {
+    const key = keyOf(r);
+    if (!key) return;
+    if (seen.has(key)) r.errors.push(`${matchBy} duplicated in file (row ${seen.get(key)})`);
+    else seen.set(key, r.row);
+  });
+
+  const existing = await Asset.find({ [matchBy]: { $in: [...seen.keys()] } }).lean();
+  const byKey = new Map();
+  existing.forEach(a => byKey.set(a[matchBy], [...(byKey.get(a[matchBy]) || []), a]));
+  const inTransfer = mode === 'insert' ? new Set() : await transfers.assetsInTransfer(existing.map(a => a._id));
+
+  for (const r of candidates.filter(c => !c.errors.length)) {
+    const matches = byKey.get(keyOf(r)) || [];
+    if (matches.length > 1) {
+      r.errors.push(`${matches.length} assets share ${matchBy} "${keyOf(r)}"; cannot tell which to update`);
+    } else if (matches.length && matches[0].isDeleted) {
+      r.errors.push(`Matches deleted asset ${matches[0].serialNumber}; restore it first`);
+    } else if (matches.length && mode === 'insert') {
+      r.errors.push(matchBy === 'serialNumber' ? 'Serial number already exists' : `${matchBy} already exists`);
+    } else if (!matches.length && mode === 'update') {
+      r.errors.push(`No existing asset with ${matchBy} "${keyOf(r) || ''}"`);
+    } else if (matches.length) {
+      // Rows that leave the device alone are checked against the existing asset's type
+      if (!r.provided.includes('device')) checkCustomFields(r, definitions, matches[0].device);
+      if (r.errors.length) continue;
+      // Cast through the model so previewed changes match what saving would do
+      const updates = updatableData(r, matches[0]);
+      const disposal = disposalViolation(matches[0], updates);
+      if (disposal) {
+        r.errors.push(disposal);
+        continue;
+      }
+      const relocation = transfers.locationViolation(matches[0], updates, {
+        canRelocate: relocate, inTransfer: inTransfer.has(String(matches[0]._id))
+      });
+      if (relocation) {
+        r.errors.push(relocation);
+        continue;
+      }
+      const asset = Object.assign(Asset.hydrate(matches[0]), updates);
+      const changes = audit.diff(matches[0], asset.toObject({ flattenMaps: true }), Object.keys(updates));
+      Object.assign(r, { action: 'update', assetId: matches[0]._id, serialNumber: matches[0].serialNumber, changes });
+    } else {
+      const disposal = disposalViolation(null, r.data);
+      if (disposal) {
+        r.errors.push(disposal);
+        continue;
+      }
+      if (!r.provided.includes('device')) checkCustomFields(r, definitions, r.data.device || DEFAULT_DEVICE);
+      if (!r.errors.length) r.action = 'create';
+    }
+  }
+
+  rows.filter(r => r.action === 'create').forEach(r => {
+    const device = r.data.device || DEFAULT_DEVICE;
+    const missing = definitions.filter(d => d.device === device && d.required && r.data.customFields?.[d.key] === undefined);
+    if (!missing.length) return;
+    r.errors.push(`Missing required field(s): ${missing.map(d => d.label).join(', ')}`);
+    delete r.action;
+  });
+
+  // New serial numbers must not clash with existing assets (in any mode)
+  const creates = rows.filter(r => r.action === 'create' && !isBlank(r.data.serialNumber));
+  if (matchBy !== 'serialNumber' && creates.length) {
+    const taken = await Asset.find({ serialNumber: { $in: creates.map(r => r.data.serialNumber) } }).select('serialNumber').lean();
+    const takenSet = new Set(taken.map(a => a.serialNumber));
+    creates.filter(r => takenSet.has(r.data.serialNumber)).forEach(r => {
+      r.errors.push('Serial number already exists');
+      delete r.action;
+    });
+  }
+
+  // Provisional serials for rows that would be created without one (final numbers are assigned on commit)
+  const pending = rows.filter(r => r.action === 'create' && !r.errors.length);
+  const previews = pending.map(r => ({ ...r.data }));
+  await fillSerialNumbers(previews, { dryRun: true });
+  pending.forEach((r, i) => { r.serialNumber = previews[i].serialNumber; });
+};
+
+// Analyze a parsed sheet: map columns, validate every row, link directory names, match existing
+// assets for update/upsert modes and preview the serial numbers that would be generated.
+// Nothing is written.
+const analyze = async ({ headers, rawRows }, options = {}) => {
+  const definitions = await customFields.definitionsFor();
+  const columnMapping = detectMapping(headers, definitions);
+  const mapped = columnMapping.filter(m => m.field);
+  const resolver = await directory.loadResolver();
+
+  const rows = rawRows.map((raw, index) => {
+    // Row number in Excel (SheetJS skips blank lines, so prefer its own row index)
+    const row = { row: (raw.__rowNum__ ?? index + 1) + 1, raw: headers.map(h => raw[h] ?? ''), errors: [], warnings: [] };
+    const data = {};
+    mapped.forEach(({ header, field }) => {
+      const value = raw[header];
+      data[field] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    // Rows without data in any meaningful column are skipped
+    if (!DATA_FIELDS.some(f => !isBlank(data[f]))) return { ...row, empty: true, data: null };
+
+    collectCustomFields(data);
+    const provided = Object.keys(data).filter(f => !isBlank(data[f]));
+    const { errors, warnings } = checkRow(data);
+    const result = { ...row, data, provided, errors, warnings };
+    if (provided.includes('device')) checkCustomFields(result, definitions);
+    linkRow(resolver, result);
+    return result;
+  });
+
+  await matchExisting(rows, options, definitions);
+  return { columnMapping, rows, summary: summarize(rows) };
+};
+
+// Build rows from JSON objects (POST /assets/bulk) and run the same matching as a sheet
+const analyzeObjects = async (items, options = {}) => {
+  const definitions = await customFields.definitionsFor();
+  const resolver = await directory.loadResolver();
+  const rows = items.map((item, index) => {
+    const data = editableFields(item);
+    if (!isBlank(data.serialNumber)) data.serialNumber = String(data.serialNumber).trim().toUpperCase();
+    const row = { row: index, data, provided: Object.keys(data), errors: [], warnings: [] };
+    if (row.provided.includes('device')) checkCustomFields(row, definitions);
+    linkRow(resolver, row);
+    return row;
+  });
+
+  await matchExisting(rows, options, definitions);
+  return { rows, summary: summarize(rows) };
+};
+
+// Count rows by outcome
+const summarize = (rows) => ({
+  totalRows: rows.length,
+  emptyRows: rows.filter(r => r.empty).length,
+  validRows: rows.filter(r => !r.empty && !r.errors.length).length,
+  invalidRows: rows.filter(r => r.errors.length).length,
+  rowsWithWarnings: rows.filter(r => r.warnings.length).length,
+  toCreate: rows.filter(r => r.action === 'create' && !r.errors.length).length,
+  toUpdate: rows.filter(r => r.action === 'update' && r.changes.length && !r.errors.length).length,
+  unchanged: rows.filter(r => r.action === 'update' && !r.changes.length && !r.errors.length).length
+});
+
+// Helper: Why one document of an unordered insertMany was not inserted: a schema validation error
+// or a server write error (whose fields sit under .err once Mongoose maps it back to its document)
+const insertFailure = (error) => {
+  const code = error.code ?? error.err?.code;
+  if (code === 11000) return 'Duplicate serial number';
+  return error.errmsg ?? error.err?.errmsg ?? error.message ?? 'Insert failed';
+};
+
+// Helper: Insert the create rows in batches. Serial numbers are generated now, not taken from the preview.
+// Each row's outcome comes from the insert result at its own position in the batch.
+const insertRows = async (rows, user) => {
+  const docs = rows.map(r => ({ ...r.data, createdBy: user._id }));
+  await fillSerialNumbers(docs);
+  rows.forEach((r, i) => { r.serialNumber = docs[i].serialNumber; });
+
+  const inserted = [];
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = docs.slice(i, i + BATCH_SIZE);
+    // One entry per document: the inserted Asset, or the error that kept it out
+    let results;
+    try {
+      results = await Asset.insertMany(batch, { ordered: false, throwOnValidationError: true });
+    } catch (err) {
+      if (!Array.isArray(err.results)) throw err;
+      results = err.results;
+    }
+    rows.slice(i, i + BATCH_SIZE).forEach((r, j) => {
+      if (results[j] instanceof Asset) {
+        inserted.push(results[j]);
+        r.result = 'created';
+      } else {
+        Object.assign(r, { result: 'failed', message: insertFailure(results[j] || {}) });
+      }
+    });
+  }
+  return inserted;
+};
+
+// Helper: Apply update rows one by one, recording changed fields like a manual edit. The disposal
+// and location rules are checked again against each asset as it is now: a preview can be committed
+// up to a day later, after the asset was disposed of or put on a transfer.
+// Returns the assets the rows marked Lost ([{ asset, previousStatus }]).
+const updateRows = async (rows, user, { relocate = false } = {}) => {
+  const lost = [];
+  const inTransfer = await transfers.assetsInTransfer(rows.map(r => r.assetId));
+  for (const r of rows) {
+    try {
+      const asset = await Asset.findOne({ _id: r.assetId, isDeleted: false });
+      if (!asset) {
+        Object.assign(r, { result: 'failed', message: 'Asset no longer exists' });
+        continue;
+      }
+      const updates = updatableData(r, asset);
+      const violation = disposalViolation(asset, updates) || transfers.locationViolation(asset, updates, {
+        canRelocate: relocate, inTransfer: inTransfer.has(String(asset._id))
+      });
+      if (violation) {
+        Object.assign(r, { result: 'failed', message: violation });
+        continue;
+      }
+      r.changes = await applyAssetUpdate(asset, updates, user);
+      r.result = r.changes.length ? 'updated' : 'unchanged';
+      webhooks.emitChanges(asset, r.changes, 'import');
+      const lostTo = notifications.lostChange(r.changes);
+      if (lostTo) lost.push({ asset, previousStatus: lostTo.before });
+    } catch (err) {
+      Object.assign(r, { result: 'failed', message: err.message });
+    }
+  }
+  return lost;
+};
+
+// Write the valid rows of an analysis: create new assets and update matched ones.
+// Sets row.result ('created' | 'updated' | 'unchanged' | 'failed') and row.message on each attempted row.
+// relocate: update rows may change an asset's location (see transfer.service).
+const commitRows = async (rows, user, meta, { relocate = false } = {}) => {
+  const pending = rows.filter(r => !r.empty && !r.errors.length);
+  const inserted = await insertRows(pending.filter(r => r.action === 'create'), user);
+  await audit.recordMany(inserted, 'import', user, { meta });
+  webhooks.emit('asset.created', inserted);
+  const lost = await updateRows(pending.filter(r => r.action === 'update'), user, { relocate });
+  notifications.alertLost(lost, user, { source: 'import' });
+
+  const count = (result) => pending.filter(r => r.result === result).length;
+  const failed = pending.filter(r => r.result === 'failed');
+  return {
+    created: count('created'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    failed: failed.length,
+    inserted,
+    insertErrors: failed.map(r => ({ row: r.row, serialNumber: r.serialNumber, message: r.message }))
+  };
+};
+
+module.exports = {
+  MAX_ROWS, IMPORT_MODES, MATCH_FIELDS, parseWorkbook, detectMapping, analyze, analyzeObjects, commitRows, summarize
+};
@@ -0,0 +1,98 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { LABEL_BASE_URL } = require('../config/environment');
+
+// Label symbologies -> bwip-js encoder
+const SYMBOLOGIES = { qr: 'qrcode', code128: 'code128' };
+const IMAGE_FORMATS = ['png', 'svg'];
+
+// Page sizes in PDF points (1 mm = 2.835 pt)
+const MM = 72 / 25.4;
+const PAGE = { width: 210 * MM, height: 297 * MM }; // A4
+const PAGE_MARGIN = 10 * MM;
+const CELL_PADDING = 2 * MM;
+const SHEET_LAYOUT = { columns: { min: 1, max: 5, default: 3 }, rows: { min: 1, max: 14, default: 8 } };
+
+// What a label encodes: QR codes carry the short scan URL (a lookup that needs a logged-in client,
+// so a scan has to go through the app; a bare phone camera gets 401), barcodes the bare serial
+// number (handheld scanners type it in)
+const payload = (serialNumber, type) =>
+  (type === 'qr' ? `${LABEL_BASE_URL}/s/${encodeURIComponent(serialNumber)}` : serialNumber);
+
+// bwip-js options for a label
+const barcodeOptions = (serialNumber, type, scale) => ({
+  bcid: SYMBOLOGIES[type],
+  text: payload(serialNumber, type),
+  scale,
+  ...(type === 'code128' && { height: 12, includetext: true, textxalign: 'center' })
+});
+
+// Render one asset label as { body, contentType } (PNG buffer or SVG string)
+const renderImage = async (serialNumber, { type = 'qr', format = 'png', scale = 3 } = {}) => {
+  const options = barcodeOptions(serialNumber, type, scale);
+  if (format === 'svg') return { body: bwipjs.toSVG(options), contentType: 'image/svg+xml' };
+  return { body: await bwipjs.toBuffer(options), contentType: 'image/png' };
+};
+
+// Helper: Text lines printed next to (QR) or under (barcode) the code
+const captionLines = (asset) => [
+  [asset.companyName, asset.branch].filter(v => v && v !== 'NA').join(' / '),
+  [asset.brand, asset.device].filter(v => v && v !== 'NA').join(' ')
+].filter(Boolean);
+
+// Helper: Draw one label into a cell of the sheet
+const drawLabel = async (doc, asset, type, x, y, width, height) => {
+  const inner = { x: x + CELL_PADDING, y: y + CELL_PADDING, width: width - 2 * CELL_PADDING, height: height - 2 * CELL_PADDING };
+  const image = await bwipjs.toBuffer(barcodeOptions(asset.serialNumber, type, 3));
+  const lines = captionLines(asset);
+
+  if (type === 'qr') {
+    // Square code on the left, serial number and details on the right
+    const size = Math.min(inner.height, inner.width / 2);
+    doc.image(image, inner.x, inner.y + (inner.height - size) / 2, { width: size, height: size });
+    const textX = inner.x + size + CELL_PADDING;
+    const textWidth = inner.width - size - CELL_PADDING;
+    doc.font('Helvetica-Bold').fontSize(9).text(asset.serialNumber, textX, inner.y + CELL_PADDING, { width: textWidth });
+    doc.font('Helvetica').fontSize(7);
+    lines.forEach(line => doc.text(line, { width: textWidth, ellipsis: true, height: 9 }));
+  } else {
+    // Barcode across the top (it prints its own serial number), details underneath
+    const captionHeight = lines.length * 9;
+    doc.image(image, inner.x, inner.y, { fit: [inner.width, inner.height - captionHeight], align: 'center' });
+    doc.font('Helvetica').fontSize(7);
+    lines.forEach((line, i) => doc.text(line, inner.x, inner.y + inner.height - captionHeight + i * 9,
+      { width: inner.width, align: 'center', ellipsis: true, height: 9 }));
+  }
+};
+
+// Helper: Clamp a sheet layout parameter to its allowed range
+const layoutValue = (value, { min, max, default: fallback }) =>
+  Math.max(min, Math.min(max, parseInt(value, 10) || fallback));
+
+// Stream a printable A4 PDF of labels (columns x rows per page) for assets from an (async) iterable
+const streamSheet = async (res, assets, { type = 'qr', columns, rows, filename = 'labels' } = {}) => {
+  const cols = layoutValue(columns, SHEET_LAYOUT.columns);
+  const rowCount = layoutValue(rows, SHEET_LAYOUT.rows);
+  const cellWidth = (PAGE.width - 2 * PAGE_MARGIN) / cols;
+  const cellHeight = (PAGE.height - 2 * PAGE_MARGIN) / rowCount;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, info: { Title: 'Asset labels' } });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  doc.pipe(res);
+
+  let index = 0;
+  for await (const asset of assets) {
+    const slot = index % (cols * rowCount);
+    if (slot === 0) doc.addPage();
+    const x = PAGE_MARGIN + (slot % cols) * cellWidth;
+    const y = PAGE_MARGIN + Math.floor(slot / cols) * cellHeight;
+    await drawLabel(doc, asset, type, x, y, cellWidth, cellHeight);
+    index++;
+  }
+  if (!index) doc.addPage().font('Helvetica').fontSize(12).text('No assets matched the filters.', PAGE_MARGIN, PAGE_MARGIN);
+  doc.end();
+  return index;
+};
+
+module.exports = { SYMBOLOGIES, IMAGE_FORMATS, SHEET_LAYOUT, payload, renderImage, streamSheet };
@@ -0,0 +1,82 @@
+const ApiError = require('../utils/ApiError');
+
+// Expiry kinds tracked on assets -> the date field that ends them
+const EXPIRY_FIELDS = { warranty: 'warrantyEnd', amc: 'amcEnd', endOfLife: 'endOfLife' };
+
+// Windows (days) reported by the expiring-soon breakdown in asset stats
+const STATS_WINDOWS = [30, 60, 90];
+
+// Assets in these states no longer need warranty or AMC alerts
+const RETIRED_STATUSES = ['Disposed', 'Lost'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Parse a window like "30d", "6w", "3m", "1y" (or a bare number of days) into days
+const parseWithin = (within = '30d') => {
+  const match = String(within).trim().toLowerCase().match(/^(\d+)\s*([dwmy]?)$/);
+  if (!match || parseInt(match[1], 10) === 0) {
+    throw ApiError.badRequest('within must be a duration like 30d, 6w, 3m or 1y');
+  }
+  return parseInt(match[1], 10) * UNIT_DAYS[match[2] || 'd'];
+};
+
+// Parse a comma-separated list of expiry kinds (default: all)
+const parseTypes = (type) => {
+  if (!type) return Object.keys(EXPIRY_FIELDS);
+  const types = type.split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = types.filter(t => !EXPIRY_FIELDS[t]);
+  if (unknown.length) {
+    throw ApiError.badRequest(`Unknown expiry type(s): ${unknown.join(', ')}. Use ${Object.keys(EXPIRY_FIELDS).join(', ')}`);
+  }
+  return types;
+};
+
+// Aggregation stages that keep assets with any of the given dates in [from, to], adding
+// `expiring: [{ type, date }]` for those dates and `nextExpiry` (the soonest, for sorting)
+const expiringStages = (types, from, to) => [
+  { $match: { $or: types.map(t => ({ [EXPIRY_FIELDS[t]]: { $gte: from, $lte: to } })) } },
+  {
+    $addFields: {
+      expiring: {
+        $filter: {
+          input: types.map(t => ({ type: t, date: `$${EXPIRY_FIELDS[t]}` })),
+          cond: { $and: [{ $gte: ['$$this.date', from] }, { $lte: ['$$this.date', to] }] }
+        }
+      }
+    }
+  },
+  { $addFields: { nextExpiry: { $min: '$expiring.date' } } }
+];
+
+// Order an asset's expiring entries soonest first and add whole days left (negative once expired)
+const withDaysLeft = (expiring, now = new Date()) => expiring
+  .map(e => ({ ...e, daysLeft: Math.ceil((new Date(e.date) - now) / DAY_MS) }))
+  .sort((a, b) => a.daysLeft - b.daysLeft);
+
+// $group accumulators counting, per expiry kind, assets already expired and expiring within each window
+const expiryBreakdown = (now = new Date()) => {
+  const group = {};
+  Object.entries(EXPIRY_FIELDS).forEach(([type, field]) => {
+    const date = `$${field}`;
+    const hasDate = { $eq: [{ $type: date }, 'date'] };
+    const count = (cond) => ({ $sum: { $cond: [{ $and: [hasDate, ...cond] }, 1, 0] } });
+    group[`${type}_expired`] = count([{ $lt: [date, now] }]);
+    STATS_WINDOWS.forEach(days => {
+      group[`${type}_within${days}d`] = count([{ $gte: [date, now] }, { $lte: [date, new Date(now.getTime() + days * DAY_MS)] }]);
+    });
+  });
+  return group;
+};
+
+// Reshape expiryBreakdown() results into { warranty: { expired, within30d, ... }, amc: {...}, endOfLife: {...} }
+const formatBreakdown = (result = {}) =>
+  Object.fromEntries(Object.keys(EXPIRY_FIELDS).map(type => [type, {
+    expired: result[`${type}_expired`] || 0,
+    ...Object.fromEntries(STATS_WINDOWS.map(days => [`within${days}d`, result[`${type}_within${days}d`] || 0]))
+  }]));
+
+module.exports = {
+  EXPIRY_FIELDS, STATS_WINDOWS, RETIRED_STATUSES, DAY_MS,
+  parseWithin, parseTypes, expiringStages, withDaysLeft, expiryBreakdown, formatBreakdown
+};
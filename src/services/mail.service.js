@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+const {
+  MAIL_ENABLED, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM
+} = require('../config/environment');
+
+let transporter = null;
+
+// SMTP transport built from the environment on first use (one pooled connection set per process)
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      pool: true,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 30000
+    });
+  }
+  return transporter;
+};
+
+// Send one email ({ to, subject, html, text }). Resolves with nodemailer's info ({ messageId,
+// accepted, rejected, ... }), or null when MAIL_ENABLED is off; SMTP errors reject.
+const sendMail = async ({ to, subject, html, text }) => {
+  if (!MAIL_ENABLED) return null;
+  return getTransporter().sendMail({ from: MAIL_FROM, to, subject, html, text });
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,217 @@
+const Asset = require('../models/Asset.model');
+const AuditLog = require('../models/AuditLog.model');
+const MaintenanceTicket = require('../models/MaintenanceTicket.model');
+const User = require('../models/User.model');
+const NotificationPreference = require('../models/NotificationPreference.model');
+const mail = require('./mail.service');
+const templates = require('../utils/emailTemplates');
+const { can, assetScope, canAccessAsset } = require('../config/permissions');
+const { RETIRED_STATUSES, DAY_MS } = require('./lifecycle.service');
+const {
+  DIGEST_DAY, DIGEST_HOUR, MAINTENANCE_OVERDUE_DAYS, DIGEST_WARRANTY_DAYS
+} = require('../config/environment');
+
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+const DIGEST_PERIOD_DAYS = 7;
+const DIGEST_LIST_LIMIT = 25; // assets listed per digest section (the count covers all)
+const LOST_STATUS = 'Lost';
+const RECIPIENT_FIELDS = 'username name role email';
+const ROW_FIELDS = 'serialNumber device brand companyName branch department userName status createdAt warrantyEnd createdBy';
+
+// Subscriptions of users who never chose any: on for roles that see every asset (managers and
+// admins), off for users, who opt in themselves
+const defaultSubscriptions = (user) => {
+  const subscribed = can(user, 'asset:read:any');
+  return Object.fromEntries(NotificationPreference.NOTIFICATION_TYPES.map(type => [type, subscribed]));
+};
+
+// Preferences of a user who never saved any
+const defaultPreferences = (user) => ({ ...defaultSubscriptions(user), companyName: null, branch: null, lastDigestAt: null });
+
+// A user's notification preferences, with the defaults for their role filled in
+const getPreferences = async (user) => {
+  const prefs = await NotificationPreference.findOne({ user: user._id }).lean();
+  return { ...defaultPreferences(user), ...prefs, user: user._id };
+};
+
+// Helper: Asset filter for a subscription's location (companyName / branch when set)
+const locationFilter = ({ companyName, branch }) => ({
+  ...(companyName && { companyName }),
+  ...(branch && { branch })
+});
+
+// Helper: Whether an asset is at a subscription's location
+const atLocation = (asset, prefs) =>
+  Object.entries(locationFilter(prefs)).every(([field, value]) => asset[field] === value);
+
+// Helper: Whole days between two dates
+const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+// Weekly digest data for a user: assets added and disposed in the last week, maintenance open longer
+// than MAINTENANCE_OVERDUE_DAYS and warranties ending within DIGEST_WARRANTY_DAYS. Limited to the
+// assets the user can see at their subscription's location.
+const buildDigest = async (user, prefs, now = new Date()) => {
+  const from = new Date(now.getTime() - DIGEST_PERIOD_DAYS * DAY_MS);
+  const scope = { ...assetScope(user), ...locationFilter(prefs) };
+  const live = { ...scope, isDeleted: false };
+
+  // Section whose list and count come straight from an asset query
+  const querySection = async (key, title, query, sort, toRow = a => a) => {
+    const [rows, total] = await Promise.all([
+      Asset.find(query).sort(sort).limit(DIGEST_LIST_LIMIT).select(ROW_FIELDS).lean(),
+      Asset.countDocuments(query)
+    ]);
+    return { key, title, total, rows: rows.map(toRow) };
+  };
+
+  // Section ordered by data kept outside the asset (ids in display order -> extra row fields)
+  const linkedSection = async (key, title, extras, query) => {
+    const assets = await Asset.find({ ...query, _id: { $in: [...extras.keys()] } }).select(ROW_FIELDS).lean();
+    const byId = new Map(assets.map(a => [String(a._id), a]));
+    const rows = [...extras.entries()].filter(([id]) => byId.has(id)).map(([id, extra]) => ({ ...byId.get(id), ...extra }));
+    return { key, title, total: rows.length, rows: rows.slice(0, DIGEST_LIST_LIMIT) };
+  };
+
+  // Disposals are status changes to Disposed in the audit trail (latest first)
+  const disposals = await AuditLog.find({
+    action: 'update',
+    createdAt: { $gte: from, $lt: now },
+    changes: { $elemMatch: { field: 'status', after: 'Disposed' } }
+  }).sort({ createdAt: -1 }).select('asset createdAt').lean();
+  const disposed = new Map();
+  disposals.forEach(d => disposed.has(String(d.asset)) || disposed.set(String(d.asset), { disposedAt: d.createdAt }));
+
+  // Longest-open tickets first
+  const overdue = await MaintenanceTicket.find({
+    status: 'open',
+    openedAt: { $lte: new Date(now.getTime() - MAINTENANCE_OVERDUE_DAYS * DAY_MS) }
+  }).sort({ openedAt: 1 }).select('asset issue vendor openedAt').lean();
+  const maintenance = new Map(overdue.map(t => [String(t.asset), {
+    issue: t.issue, vendor: t.vendor, openedAt: t.openedAt, daysOpen: daysBetween(t.openedAt, now)
+  }]));
+
+  const sections = [
+    await querySection('added', 'Assets added', { ...live, createdAt: { $gte: from, $lt: now } }, { createdAt: -1 }),
+    await linkedSection('disposed', 'Assets disposed', disposed, { ...scope, status: 'Disposed' }),
+    await linkedSection('longMaintenance', `Under maintenance for over ${MAINTENANCE_OVERDUE_DAYS} days`, maintenance, live),
+    await querySection('warrantyExpiring', `Warranties ending within ${DIGEST_WARRANTY_DAYS} days`, {
+      ...live,
+      status: { $nin: RETIRED_STATUSES },
+      warrantyEnd: { $gte: now, $lte: new Date(now.getTime() + DIGEST_WARRANTY_DAYS * DAY_MS) }
+    }, { warrantyEnd: 1 }, a => ({ ...a, daysLeft: Math.ceil((a.warrantyEnd - now) / DAY_MS) }))
+  ];
+
+  return { from, to: now, filter: locationFilter(prefs), sections };
+};
+
+// Build and email a user's weekly digest; resolves with the SMTP result (rejects on SMTP errors)
+const sendDigest = async (user, prefs, now = new Date()) => {
+  const digest = await buildDigest(user, prefs, now);
+  return mail.sendMail({ to: user.email, ...templates.digest({ user, ...digest }) });
+};
+
+// Helper: The latest scheduled digest time at or before now (DIGEST_DAY at DIGEST_HOUR, server time)
+const lastScheduled = (now) => {
+  const at = new Date(now);
+  at.setHours(DIGEST_HOUR, 0, 0, 0);
+  at.setDate(at.getDate() - ((at.getDay() - DIGEST_DAY + 7) % 7));
+  if (at > now) at.setDate(at.getDate() - 7);
+  return at;
+};
+
+// Send the weekly digest to every subscribed user with an email address who hasn't had this week's
+// yet (with force: to all of them again). Each user's send is claimed by setting lastDigestAt first,
+// so overlapping runs (or several servers) don't send it twice; a failed send releases the claim.
+const sendDigests = async ({ force = false, now = new Date() } = {}) => {
+  const result = { sent: 0, skipped: 0, failed: [] };
+  const users = await User.find({ email: { $ne: null } }).select(RECIPIENT_FIELDS).lean();
+  if (!users.length) return result;
+
+  // Users who never saved preferences get their role's defaults as a document, so the send can be claimed on it
+  await NotificationPreference.bulkWrite(users.map(u => ({
+    updateOne: { filter: { user: u._id }, update: { $setOnInsert: { user: u._id, ...defaultSubscriptions(u) } }, upsert: true }
+  })));
+
+  const due = lastScheduled(now);
+  for (const user of users) {
+    const claim = { user: user._id, weeklyDigest: true };
+    if (!force) claim.$or = [{ lastDigestAt: null }, { lastDigestAt: { $lt: due } }];
+    const prefs = await NotificationPreference.findOneAndUpdate(claim, { lastDigestAt: now }).lean(); // as before the claim
+    if (!prefs) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      await sendDigest(user, prefs, now);
+      result.sent++;
+    } catch (err) {
+      await NotificationPreference.updateOne({ user: user._id, lastDigestAt: now }, { lastDigestAt: prefs.lastDigestAt });
+      result.failed.push({ user: user.username, email: user.email, message: err.message });
+    }
+  }
+  return result;
+};
+
+// Send this week's digests when they are due. A run more than a day after the scheduled time sends
+// nothing (the server was down): that week is skipped rather than delivered late.
+const runScheduledDigests = async (now = new Date()) => {
+  if (now - lastScheduled(now) >= DAY_MS) return null;
+  return sendDigests({ now });
+};
+
+// Run the digest check now and then periodically
+const startDigestJob = () => {
+  const run = () => runScheduledDigests()
+    .then(result => {
+      if (result?.sent) console.log(`📧 Sent ${result.sent} weekly digest(s)`);
+      result?.failed.forEach(f => console.error(`❌ Weekly digest to ${f.email} failed:`, f.message));
+    })
+    .catch(err => console.error('❌ Weekly digests failed:', err.message));
+
+  run();
+  setInterval(run, DIGEST_CHECK_INTERVAL).unref();
+};
+
+// The status change to Lost among an update's audit changes, if any
+const lostChange = (changes) => changes.find(c => c.field === 'status' && c.after === LOST_STATUS);
+
+// Helper: Email each subscribed user the lost assets they can see at their location
+const deliverLostAlerts = async (entries, actor, source) => {
+  const users = await User.find({ email: { $ne: null } }).select(RECIPIENT_FIELDS).lean();
+  const saved = await NotificationPreference.find({ user: { $in: users.map(u => u._id) } }).lean();
+  const prefsByUser = new Map(saved.map(p => [String(p.user), p]));
+  const rows = entries.map(({ asset, previousStatus }) => ({
+    ...(typeof asset.toObject === 'function' ? asset.toObject() : asset),
+    previousStatus
+  }));
+
+  for (const user of users) {
+    const prefs = { ...defaultPreferences(user), ...prefsByUser.get(String(user._id)) };
+    if (!prefs.lostAlerts) continue;
+    const assets = rows.filter(a => canAccessAsset(user, 'read', a) && atLocation(a, prefs));
+    if (!assets.length) continue;
+
+    try {
+      await mail.sendMail({ to: user.email, ...templates.lostAlert({ user, assets, actor, source }) });
+    } catch (err) {
+      console.error(`❌ Lost alert to ${user.email} failed:`, err.message);
+    }
+  }
+};
+
+// Alert subscribers that assets were marked Lost (entries: [{ asset, previousStatus }], one email per
+// recipient). Returns at once: sending runs after the current request and its errors are only logged.
+const alertLost = (entries, actor, { source } = {}) => {
+  if (!entries.length) return;
+  setImmediate(() => deliverLostAlerts(entries, actor, source)
+    .catch(err => console.error('❌ Lost alerts failed:', err.message)));
+};
+
+// Email a test message to a user's address; resolves with the SMTP result (rejects on SMTP errors)
+const sendTest = (user) => mail.sendMail({ to: user.email, ...templates.testMessage({ user }) });
+
+module.exports = {
+  defaultSubscriptions, defaultPreferences, getPreferences, buildDigest, sendDigest, sendDigests, runScheduledDigests,
+  startDigestJob, lostChange, alertLost, sendTest
+};
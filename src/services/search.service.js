@@ -0,0 +1,115 @@
+const Asset = require('../models/Asset.model');
+const { can } = require('../config/permissions');
+const { distance, tolerance } = require('./directory.service');
+
+const MAX_QUERY_LENGTH = 100;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_FUZZY_VALUES = 50;
+
+// Name fields matched with typo tolerance ("Rahul Shrama" finds "Rahul Sharma")
+const FUZZY_FIELDS = ['userName', 'brand'];
+
+// Fields offered by /assets/search/suggest, in display order
+const SUGGEST_FIELDS = ['serialNumber', 'deviceSerialNo', 'userName', 'brand', 'companyName', 'branch', 'department'];
+const PREFIX_FIELDS = ['serialNumber', 'deviceSerialNo']; // stored uppercase, matched by anchored prefix
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trim, collapse whitespace and cap the length of a search string
+const normalizeSearch = (search) => String(search ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+
+// Helper: Lowercase words of a value
+const words = (value) => String(value).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Helper: Whether every search word matches a word of the value within typo tolerance
+// (or as its prefix, for words of 3+ characters)
+const fuzzyMatch = (value, termWords) => {
+  const valueWords = words(value);
+  return termWords.every(t => valueWords.some(w => (t.length >= 3 && w.startsWith(t)) || distance(w, t) <= tolerance(t)));
+};
+
+// Distinct values of a field across all assets, cached briefly (used for users who can read every asset)
+const cache = new Map();
+const distinctValues = async (field, user) => {
+  const ownOnly = !can(user, 'asset:read:any');
+  const load = async () => (await Asset.distinct(field, { isDeleted: false, ...(ownOnly && { createdBy: user._id }) }))
+    .filter(v => v && v !== 'NA');
+  if (ownOnly) return load();
+
+  const hit = cache.get(field);
+  if (hit && hit.expires > Date.now()) return hit.values;
+  const values = await load();
+  cache.set(field, { values, expires: Date.now() + CACHE_TTL_MS });
+  return values;
+};
+
+// Values of a name field close to the search words (typos, partial words)
+const fuzzyValues = async (field, search, user) => {
+  const termWords = words(search);
+  if (!termWords.length) return [];
+  const values = await distinctValues(field, user);
+  return values.filter(v => fuzzyMatch(v, termWords)).slice(0, MAX_FUZZY_VALUES);
+};
+
+// Build the $or clause for a search: text index match (ranked by textScore), serial number prefixes
+// and typo-tolerant user/brand names. Every branch is indexed, as $text inside $or requires.
+const searchClause = async (search, user) => {
+  const term = normalizeSearch(search);
+  if (!term) return null;
+
+  const prefix = new RegExp(`^${escapeRegex(term.toUpperCase())}`);
+  const fuzzy = await Promise.all(FUZZY_FIELDS.map(f => fuzzyValues(f, term, user)));
+
+  // Quotes and a leading "-" are $text phrase/negation syntax; search them literally instead
+  const textTerm = term.replace(/"/g, ' ').split(' ').map(w => w.replace(/^-+/, '')).filter(Boolean).join(' ');
+
+  return [
+    ...(textTerm ? [{ $text: { $search: textTerm } }] : []),
+    ...PREFIX_FIELDS.map(f => ({ [f]: prefix })),
+    ...FUZZY_FIELDS.map((f, i) => fuzzy[i].length && { [f]: { $in: fuzzy[i] } }).filter(Boolean)
+  ];
+};
+
+// Whether a built asset query runs a text search (so results can be ranked by textScore)
+const hasTextSearch = (query) => Boolean(query.$or?.some(clause => clause.$text));
+
+// Autocomplete suggestions [{ field, value }]: serial number prefixes first, then names
+// starting with the query, then close spellings
+const suggest = async (q, user, limit = 8) => {
+  const term = normalizeSearch(q);
+  if (!term) return [];
+
+  const scope = { isDeleted: false, ...(!can(user, 'asset:read:any') && { createdBy: user._id }) };
+  const prefix = new RegExp(`^${escapeRegex(term.toUpperCase())}`);
+  const serials = await Promise.all(PREFIX_FIELDS.map(f =>
+    Asset.find({ ...scope, [f]: prefix }).select(f).sort({ [f]: 1 }).limit(limit).lean()
+  ));
+
+  const suggestions = [];
+  const seen = new Set();
+  const add = (field, value) => {
+    const key = `${field}:${value}`;
+    if (suggestions.length >= limit || seen.has(key)) return;
+    seen.add(key);
+    suggestions.push({ field, value });
+  };
+  PREFIX_FIELDS.forEach((f, i) => serials[i].forEach(a => add(f, a[f])));
+
+  const nameFields = SUGGEST_FIELDS.filter(f => !PREFIX_FIELDS.includes(f));
+  const values = await Promise.all(nameFields.map(f => distinctValues(f, user)));
+  const termWords = words(term);
+  const lower = term.toLowerCase();
+  nameFields.forEach((f, i) => values[i]
+    .filter(v => v.toLowerCase().startsWith(lower) || words(v).some(w => w.startsWith(lower)))
+    .sort()
+    .forEach(v => add(f, v)));
+  nameFields.forEach((f, i) => values[i]
+    .filter(v => fuzzyMatch(v, termWords))
+    .sort()
+    .forEach(v => add(f, v)));
+
+  return suggestions;
+};
+
+module.exports = { MAX_QUERY_LENGTH, escapeRegex, normalizeSearch, searchClause, hasTextSearch, suggest };
@@ -0,0 +1,172 @@
+const Asset = require('../models/Asset.model');
+const SerialCounter = require('../models/SerialCounter.model');
+const SerialReservation = require('../models/SerialReservation.model');
+const SerialFormat = require('../models/SerialFormat.model');
+const ApiError = require('../utils/ApiError');
+const directory = require('./directory.service');
+const { escapeRegex } = require('./search.service');
+const { SERIAL_RESERVATION_MINUTES } = require('../config/environment');
+
+const { REQUIRED_DATE_TOKENS } = SerialFormat;
+
+// Format used until an admin changes it: PREFIX-DDMMYYYY-XXX, sequence restarting daily
+const DEFAULT_FORMAT = { prefix: 'AST', template: '{PREFIX}-{DD}{MM}{YYYY}-{SEQ}', padding: 3, period: 'daily' };
+
+// Helper: Date parts used by templates and counter keys
+const dateParts = (date) => ({
+  YYYY: String(date.getFullYear()),
+  YY: String(date.getFullYear()).slice(-2),
+  MM: String(date.getMonth() + 1).padStart(2, '0'),
+  DD: String(date.getDate()).padStart(2, '0')
+});
+
+// Helper: Counter key for a prefix in the period containing date
+const counterKey = (prefix, period, date) => {
+  const { YYYY, MM, DD } = dateParts(date);
+  const periodKey = { daily: `${YYYY}${MM}${DD}`, monthly: `${YYYY}${MM}`, yearly: YYYY, none: '' }[period];
+  return `${prefix}:${periodKey}`;
+};
+
+// Render a serial number from a format, sequence and date
+const render = ({ prefix, template, padding }, seq, date = new Date()) => {
+  const values = { ...dateParts(date), PREFIX: prefix, SEQ: String(seq).padStart(padding, '0') };
+  return template.replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match);
+};
+
+// Check that an effective format keeps serials unique: its template has the date tokens its period needs
+const checkFormat = ({ template, period }) => {
+  const tokens = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+  const missing = REQUIRED_DATE_TOKENS[period].filter(options => !options.some(t => tokens.includes(t)));
+  if (missing.length) {
+    throw ApiError.badRequest(`A ${period} sequence needs ${missing.map(o => o.map(t => `{${t}}`).join(' or ')).join(', ')} in the template`);
+  }
+};
+
+// Helper: Prefix for a company with no configured format: first 3 letters of its name
+const fallbackPrefix = (companyName, defaultPrefix) => {
+  if (!companyName || companyName === 'NA') return defaultPrefix;
+  return companyName.replace(/[^a-zA-Z]/g, '').substring(0, 3).toUpperCase() || defaultPrefix;
+};
+
+// Company format with unset fields inherited from the default format
+const effectiveFormat = (defaults, own, prefix = defaults.prefix) => ({
+  prefix: own?.prefix || prefix,
+  template: own?.template || defaults.template,
+  padding: own?.padding || defaults.padding,
+  period: own?.period || defaults.period
+});
+
+// Get (creating on first use) the default format document
+const getDefaultFormat = async () => {
+  const existing = await SerialFormat.findOne({ company: null }).lean();
+  if (existing) return existing;
+  try {
+    return (await SerialFormat.create({ company: null, ...DEFAULT_FORMAT })).toObject();
+  } catch (err) {
+    if (err.code === 11000) return SerialFormat.findOne({ company: null }).lean(); // created concurrently
+    throw err;
+  }
+};
+
+// Load formats and the company directory once; returns companyName -> effective format
+const loadFormatResolver = async () => {
+  const [defaults, formats, resolver] = await Promise.all([
+    getDefaultFormat(),
+    SerialFormat.find({ company: { $ne: null } }).lean(),
+    directory.loadResolver()
+  ]);
+  const byCompany = new Map(formats.map(f => [String(f.company), f]));
+
+  return (companyName) => {
+    const company = resolver.resolve('companyName', companyName)?.entity;
+    const own = company && byCompany.get(String(company._id));
+    return effectiveFormat(defaults, own, fallbackPrefix(companyName, defaults.prefix));
+  };
+};
+
+// Helper: Highest sequence already used by assets for this format and period (numbers issued
+// before counters existed, or written by hand). Any sequence width matches, so 1000+ is fine.
+const highestExistingSeq = async (format, date) => {
+  const marker = '\u0000SEQ\u0000';
+  const [before, after] = render({ ...format, padding: 1 }, marker, date).split(marker);
+  const pattern = new RegExp(`^${escapeRegex(before)}(\\d+)${escapeRegex(after)}$`, 'i');
+  const assets = await Asset.find({ serialNumber: pattern }).select('serialNumber').lean();
+  return assets.reduce((max, a) => Math.max(max, parseInt(a.serialNumber.match(pattern)[1], 10)), 0);
+};
+
+// Helper: Make sure the counter exists, seeded past any number already in use
+const ensureCounter = async (key, format, date) => {
+  if (await SerialCounter.exists({ _id: key })) return;
+  const seq = await highestExistingSeq(format, date);
+  try {
+    await SerialCounter.updateOne({ _id: key }, { $setOnInsert: { seq } }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // seeded concurrently
+  }
+};
+
+// Atomically take `count` consecutive serial numbers for a format
+const allocate = async (format, count = 1, date = new Date()) => {
+  const key = counterKey(format.prefix, format.period, date);
+  await ensureCounter(key, format, date);
+  const { seq } = await SerialCounter.findOneAndUpdate({ _id: key }, { $inc: { seq: count } }, { new: true }).lean();
+  return Array.from({ length: count }, (_, i) => render(format, seq - count + 1 + i, date));
+};
+
+// The next `count` serial numbers for a format, without taking them
+const peek = async (format, count = 1, date = new Date()) => {
+  const key = counterKey(format.prefix, format.period, date);
+  const counter = await SerialCounter.findById(key).lean();
+  const seq = counter ? counter.seq : await highestExistingSeq(format, date);
+  return Array.from({ length: count }, (_, i) => render(format, seq + 1 + i, date));
+};
+
+// Assign serial numbers to every asset lacking one (blank or 'NA'), one counter update per prefix.
+// With dryRun the numbers are only previewed, not taken. Returns the assets that received a number.
+const fillSerialNumbers = async (assets, { dryRun = false } = {}) => {
+  const pending = assets.filter(asset => !asset.serialNumber || asset.serialNumber === 'NA');
+  if (!pending.length) return pending;
+
+  const formatFor = await loadFormatResolver();
+  const groups = new Map(); // counter key -> { format, assets }
+  pending.forEach(asset => {
+    const format = formatFor(asset.companyName);
+    const key = counterKey(format.prefix, format.period, new Date());
+    if (!groups.has(key)) groups.set(key, { format, assets: [] });
+    groups.get(key).assets.push(asset);
+  });
+
+  for (const { format, assets: group } of groups.values()) {
+    const serials = await (dryRun ? peek : allocate)(format, group.length);
+    group.forEach((asset, i) => { asset.serialNumber = serials[i]; });
+  }
+  return pending;
+};
+
+// Take the next serial number for a company and hold it for the user for a short time
+const reserveSerialNumber = async (companyName, user) => {
+  const format = (await loadFormatResolver())(companyName);
+  const [serialNumber] = await allocate(format);
+  const expiresAt = new Date(Date.now() + SERIAL_RESERVATION_MINUTES * 60 * 1000);
+  await SerialReservation.create({ serialNumber, reservedBy: user._id, expiresAt });
+  return { serialNumber, expiresAt };
+};
+
+// Reject serial numbers currently reserved by someone else
+const assertNotReservedByOther = async (serialNumber, user) => {
+  const reservation = await SerialReservation.findOne({
+    serialNumber: String(serialNumber).toUpperCase(),
+    expiresAt: { $gt: new Date() },
+    reservedBy: { $ne: user._id }
+  }).lean();
+  if (reservation) throw ApiError.conflict('Serial number is reserved by another user');
+};
+
+// Drop reservations once their numbers are used
+const releaseReservations = (serialNumbers) =>
+  SerialReservation.deleteMany({ serialNumber: { $in: serialNumbers.map(s => String(s).toUpperCase()) } });
+
+module.exports = {
+  DEFAULT_FORMAT, render, checkFormat, effectiveFormat, getDefaultFormat, loadFormatResolver, allocate, peek,
+  fillSerialNumbers, reserveSerialNumber, assertNotReservedByOther, releaseReservations
+};
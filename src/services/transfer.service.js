@@ -0,0 +1,35 @@
+const TransferRequest = require('../models/TransferRequest.model');
+
+const { ACTIVE_TRANSFER_STATUSES } = TransferRequest;
+
+// Asset fields that make up its location. The directory references follow the names, so linking
+// one to the name an asset already has does not move it.
+const LOCATION_FIELDS = ['companyName', 'branch', 'department'];
+
+const TRANSFER_REQUIRED = 'Asset is on an open transfer request; its location changes when the transfer is received';
+const RELOCATION_REQUIRED = 'Assets change company, branch or department through a transfer request (POST /transfers)';
+
+// Whether an update would change an asset's location
+const movesLocation = (asset, updates) =>
+  LOCATION_FIELDS.some(f => f in updates && String(updates[f] ?? null) !== String(asset[f] ?? null));
+
+// Why an update may not change an asset's location, or null. Locations change when a transfer is
+// received; admins (asset:relocate) may correct one directly unless the asset is on an open transfer.
+const locationViolation = (asset, updates, { canRelocate = false, inTransfer = false } = {}) => {
+  if (!movesLocation(asset, updates)) return null;
+  if (inTransfer) return TRANSFER_REQUIRED;
+  return canRelocate ? null : RELOCATION_REQUIRED;
+};
+
+// IDs (as strings) of the given assets that are on a requested, approved or in-transit transfer
+const assetsInTransfer = async (ids) => {
+  if (!ids.length) return new Set();
+  const transfers = await TransferRequest.find({ 'assets.asset': { $in: ids }, status: { $in: ACTIVE_TRANSFER_STATUSES } })
+    .select('assets.asset')
+    .lean();
+  return new Set(transfers.flatMap(t => t.assets.map(a => String(a.asset))));
+};
+
+module.exports = {
+  LOCATION_FIELDS, TRANSFER_REQUIRED, RELOCATION_REQUIRED, movesLocation, locationViolation, assetsInTransfer
+};
@@ -0,0 +1,56 @@
+const Asset = require('../models/Asset.model');
+const audit = require('./audit.service');
+const { TRASH_RETENTION_DAYS } = require('../config/environment');
+
+const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+
+// Restore soft-deleted assets; returns per-id results
+exports.restore = async (ids, user) => {
+  const restored = [];
+  const failed = [];
+
+  for (const id of ids) {
+    const asset = await Asset.findOneAndUpdate(
+      { _id: id, isDeleted: true },
+      { isDeleted: false, deletedAt: null, deletedBy: null },
+      { new: true }
+    );
+    if (!asset) {
+      failed.push({ id, message: 'Asset not found in trash' });
+      continue;
+    }
+    await audit.record(asset, 'restore', user, { changes: [{ field: 'isDeleted', before: true, after: false }] });
+    restored.push(asset);
+  }
+
+  return { restored, failed };
+};
+
+// Permanently delete trashed assets matching a filter, keeping a snapshot of each in the audit log
+exports.purge = async (filter, user, meta = {}) => {
+  const assets = await Asset.find({ ...filter, isDeleted: true }).lean();
+  if (!assets.length) return 0;
+
+  await Asset.deleteMany({ _id: { $in: assets.map(a => a._id) }, isDeleted: true });
+  await Promise.all(assets.map(asset => audit.record(asset, 'purge', user, { meta: { ...meta, snapshot: asset } })));
+  return assets.length;
+};
+
+// Purge trash older than the configured retention period (0 disables). Assets trashed before
+// deletedAt was recorded have none; their last update (the soft delete) stands in for it.
+exports.purgeExpired = async () => {
+  if (!TRASH_RETENTION_DAYS) return 0;
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const filter = { $or: [{ deletedAt: { $lte: cutoff } }, { deletedAt: null, updatedAt: { $lte: cutoff } }] };
+  return exports.purge(filter, null, { reason: 'retention', retentionDays: TRASH_RETENTION_DAYS });
+};
+
+// Run the retention purge now and then periodically
+exports.startRetentionJob = () => {
+  const run = () => exports.purgeExpired()
+    .then(count => count && console.log(`🗑️  Purged ${count} asset(s) past trash retention`))
+    .catch(err => console.error('❌ Trash purge failed:', err.message));
+
+  run();
+  setInterval(run, RETENTION_CHECK_INTERVAL).unref();
+};
@@ -0,0 +1,65 @@
+const SavedView = require('../models/SavedView.model');
+const ApiError = require('../utils/ApiError');
+const { FILTER_PREFIX } = require('./customField.service');
+
+// Filter for the saved views a user can see: their own and those shared with their role or everyone
+const visibleTo = (user) => ({
+  $or: [
+    { owner: user._id },
+    { visibility: 'everyone' },
+    { visibility: 'roles', roles: user.role }
+  ]
+});
+
+// Load a saved view the user can see, or throw 404
+const findVisible = async (id, user) => {
+  const view = await SavedView.findOne({ _id: id, ...visibleTo(user) }).lean();
+  if (!view) throw ApiError.notFound('Saved view not found');
+  return view;
+};
+
+// Helper: Plain object of a stored Map (a Map on documents, an object when lean)
+const plain = (map) => (map instanceof Map ? Object.fromEntries(map) : { ...(map || {}) });
+
+// Split filters as sent ({ param: value }) into the stored filters and customFilters
+const splitFilters = (filters) => {
+  const split = { filters: {}, customFilters: {} };
+  Object.entries(filters).forEach(([param, value]) => {
+    if (param.startsWith(FILTER_PREFIX)) split.customFilters[param.slice(FILTER_PREFIX.length)] = value;
+    else split.filters[param] = value;
+  });
+  return split;
+};
+
+// A view's filters as query params, custom field filters included as "customFields.<key>"
+const viewFilters = (view) => ({
+  ...plain(view.filters),
+  ...Object.fromEntries(Object.entries(plain(view.customFilters)).map(([key, value]) => [`${FILTER_PREFIX}${key}`, value]))
+});
+
+// A view as the API returns it: a plain object whose filters include the custom field filters
+const present = (view) => {
+  const { customFilters, ...rest } = typeof view.toObject === 'function' ? view.toObject() : view;
+  return { ...rest, filters: viewFilters(view) };
+};
+
+// Apply the saved view named by query.viewId to asset listing/export query params. The view's
+// filters, sort and columns are defaults: params given explicitly in the request win.
+const applyView = async (query, user) => {
+  const { viewId, ...params } = query;
+  if (!viewId) return { params, view: null };
+
+  const view = await findVisible(viewId, user);
+  const filters = viewFilters(view);
+  return {
+    params: {
+      ...filters,
+      ...(view.sortBy && { sortBy: view.sortBy, order: view.order }),
+      ...(view.columns.length && { columns: view.columns.join(',') }),
+      ...params
+    },
+    view
+  };
+};
+
+module.exports = { visibleTo, findVisible, splitFilters, viewFilters, present, applyView };
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const { WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS } = require('../config/environment');
+
+const RETRY_CHECK_INTERVAL = 30 * 1000;
+const RETRY_BATCH = 50; // deliveries retried per run
+const LEASE_MS = 5 * 60 * 1000; // a delivery being attempted is not picked up again for this long
+const BACKOFF_MINUTES = [1, 5, 30, 120, 360]; // wait after the 1st, 2nd, ... failed attempt (the last repeats)
+const MAX_RESPONSE_BODY = 1000;
+const MAINTENANCE_STATUS = 'Under Maintenance';
+const NO_HOLDER = [null, undefined, '', 'NA'];
+
+// Asset fields sent in event payloads
+const ASSET_FIELDS = [
+  '_id', 'serialNumber', 'companyName', 'branch', 'department', 'userName',
+  'device', 'brand', 'deviceSerialNo', 'status'
+];
+
+// Helper: Asset as it appears in a payload
+const assetPayload = (asset) => {
+  const plain = typeof asset.toObject === 'function' ? asset.toObject() : asset;
+  return Object.fromEntries(ASSET_FIELDS.map(f => [f, plain[f] ?? null]));
+};
+
+// New signing secret for a subscription
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription's
+// secret, sent as "X-Webhook-Signature: sha256=<hex>" next to "X-Webhook-Timestamp: <timestamp>"
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Helper: Wait before the next attempt after `failures` failed attempts
+const backoff = (failures) => BACKOFF_MINUTES[Math.min(failures, BACKOFF_MINUTES.length) - 1] * 60 * 1000;
+
+// Helper: Load the subscription of a delivery with its secret
+const loadSubscription = (id) => WebhookSubscription.findById(id).select('+secret').lean();
+
+// POST a delivery once, record the attempt and schedule a retry or settle it. Never throws for
+// delivery errors (network, timeout, non-2xx): they are part of the log.
+const attempt = async (delivery, subscription) => {
+  const result = { at: new Date() };
+  const started = Date.now();
+
+  if (!subscription || !subscription.isActive) {
+    result.error = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'IT-Asset-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      result.responseStatus = response.status;
+      result.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    } catch (err) {
+      result.error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS} ms` : err.cause?.message || err.message;
+    }
+  }
+  result.durationMs = Date.now() - started;
+
+  delivery.attempts.push(result);
+  if (result.responseStatus >= 200 && result.responseStatus < 300) {
+    Object.assign(delivery, { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null });
+  } else if (delivery.test || !subscription?.isActive || delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    Object.assign(delivery, { status: 'failed', nextAttemptAt: null });
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts.length));
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// Helper: Take a pending delivery matching filter for one attempt by pushing nextAttemptAt a lease
+// ahead. The update is atomic, so only one caller (request or retry job) gets each attempt.
+const claim = (filter, sort) => WebhookDelivery.findOneAndUpdate(
+  { ...filter, status: 'pending' },
+  { nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+  { sort, new: true }
+);
+
+// Helper: Log the deliveries for an event and make the first attempts
+const dispatch = async (event, assets, data) => {
+  const subscriptions = await WebhookSubscription.find({ events: event, isActive: true }).select('+secret').lean();
+  if (!subscriptions.length || !assets.length) return;
+
+  const occurredAt = new Date().toISOString();
+  const leaseEnd = new Date(Date.now() + LEASE_MS);
+  const deliveries = await WebhookDelivery.insertMany(assets.flatMap(asset => {
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, occurredAt, data: { asset: assetPayload(asset), ...data } };
+    // Leased until the attempts below are made (the retry job takes over if the process stops)
+    return subscriptions.map(s => ({ subscription: s._id, eventId, event, payload, nextAttemptAt: leaseEnd }));
+  }));
+
+  // Each first attempt is claimed just before it is made. A delivery the retry job took over while
+  // earlier ones were slow (its insert lease ran out) has a different nextAttemptAt and is skipped.
+  const byId = new Map(subscriptions.map(s => [String(s._id), s]));
+  for (const delivery of deliveries) {
+    const claimed = await claim({ _id: delivery._id, nextAttemptAt: leaseEnd });
+    if (claimed) await attempt(claimed, byId.get(String(delivery.subscription)));
+  }
+};
+
+// Notify subscribers of an asset event (one delivery per asset and subscription). Returns at once:
+// delivery runs after the current request and its errors are only logged.
+const emit = (event, assets, data = {}) => {
+  setImmediate(() => dispatch(event, [].concat(assets || []), data)
+    .catch(err => console.error(`❌ Webhook dispatch of ${event} failed:`, err.message)));
+};
+
+// Events implied by an asset's audited changes made outside the assignment and maintenance
+// workflows (edits, bulk updates, imports): a new or removed holder, or a move into maintenance.
+// Returns [[event, data]]; the data has no assignment or ticket record to point to.
+const changeEvents = (changes) => {
+  const events = [];
+  const holder = changes.find(c => c.field === 'userName');
+  if (holder && !(NO_HOLDER.includes(holder.before) && NO_HOLDER.includes(holder.after))) {
+    const now = new Date();
+    events.push(NO_HOLDER.includes(holder.after)
+      ? ['asset.returned', { assignment: { assignee: holder.before, returnedAt: now } }]
+      : ['asset.assigned', {
+        assignment: { assignee: holder.after, assignedAt: now, previousAssignee: NO_HOLDER.includes(holder.before) ? null : holder.before }
+      }]);
+  }
+  if (changes.some(c => c.field === 'status' && c.after === MAINTENANCE_STATUS)) {
+    events.push(['asset.maintenance_opened', { ticket: null }]);
+  }
+  return events;
+};
+
+// Emit the events implied by an asset's audited changes (see changeEvents); source names the path
+const emitChanges = (asset, changes, source) =>
+  changeEvents(changes).forEach(([event, data]) => emit(event, asset, { ...data, source }));
+
+// Send a "ping" to a subscription now (single attempt, no retries) and return the logged delivery
+const testFire = async (subscription) => {
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    event: 'ping',
+    occurredAt: new Date().toISOString(),
+    data: { subscription: { _id: subscription._id, name: subscription.name, events: subscription.events } }
+  };
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id, eventId, event: 'ping', payload, test: true, nextAttemptAt: null
+  });
+  return attempt(delivery, await loadSubscription(subscription._id));
+};
+
+// Send a logged delivery's payload again as a new delivery (same event id, full retry schedule)
+const redeliver = async (previous) => {
+  const delivery = await WebhookDelivery.create({
+    subscription: previous.subscription,
+    eventId: previous.eventId,
+    event: previous.event,
+    payload: previous.payload,
+    test: previous.test,
+    nextAttemptAt: new Date(Date.now() + LEASE_MS)
+  });
+  return attempt(delivery, await loadSubscription(previous.subscription));
+};
+
+// Retry pending deliveries that are due. Each is claimed first, so overlapping runs (or several
+// servers, or the request that logged it) don't send it twice.
+const retryDue = async () => {
+  let count = 0;
+  while (count < RETRY_BATCH) {
+    const delivery = await claim({ nextAttemptAt: { $lte: new Date() } }, { nextAttemptAt: 1 });
+    if (!delivery) break;
+    await attempt(delivery, await loadSubscription(delivery.subscription));
+    count++;
+  }
+  return count;
+};
+
+// Run the retry check periodically
+const startDeliveryJob = () => {
+  const run = () => retryDue().catch(err => console.error('❌ Webhook retry failed:', err.message));
+  setInterval(run, RETRY_CHECK_INTERVAL).unref();
+};
+
+module.exports = { generateSecret, sign, emit, changeEvents, emitChanges, testFire, redeliver, retryDue, startDeliveryJob };
@@ -0,0 +1,16 @@
+// Error carrying an HTTP status code, rendered by middleware/errorHandler
+class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+
+  static badRequest(message = 'Bad request') { return new ApiError(400, message); }
+  static unauthorized(message = 'Not authenticated') { return new ApiError(401, message); }
+  static forbidden(message = 'You do not have permission to perform this action') { return new ApiError(403, message); }
+  static notFound(message = 'Not found') { return new ApiError(404, message); }
+  static conflict(message = 'Conflict') { return new ApiError(409, message); }
+}
+
+module.exports = ApiError;
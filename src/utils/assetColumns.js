@@ -0,0 +1,135 @@
+// Spreadsheet column definitions shared by the Excel importer and the exporter.
+
+// Map Excel columns to schema fields (flexible column mapping - case insensitive)
+const COLUMN_MAP = {
+  // Serial Number variations (optional - frontend will add if missing)
+  'serialnumber': 'serialNumber', 'serial number': 'serialNumber', 'serial_number': 'serialNumber', 
+  'sn': 'serialNumber', 'sr no': 'serialNumber', 'sr.no': 'serialNumber', 'sr. no': 'serialNumber',
+  'srno': 'serialNumber', 'sl no': 'serialNumber', 'sl.no': 'serialNumber', 'slno': 'serialNumber',
+  'asset id': 'serialNumber', 'assetid': 'serialNumber', 'asset_id': 'serialNumber',
+  
+  // Company Name variations
+  'companyname': 'companyName', 'company name': 'companyName', 'company': 'companyName',
+  'organization': 'companyName', 'org': 'companyName', 'firm': 'companyName',
+  
+  // Branch variations
+  'branch': 'branch', 'location': 'branch', 'site': 'branch', 'office': 'branch',
+  
+  // Department variations
+  'department': 'department', 'dept': 'department', 'division': 'department', 'team': 'department',
+  
+  // User Name variations
+  'username': 'userName', 'user name': 'userName', 'user': 'userName', 'name': 'userName',
+  'employee': 'userName', 'employee name': 'userName', 'employeename': 'userName',
+  'assigned to': 'userName', 'assignedto': 'userName', 'assigned': 'userName',
+  
+  // Brand variations
+  'brand': 'brand', 'make': 'brand', 'manufacturer': 'brand', 'vendor': 'brand',
+  
+  // Device type variations
+  'device': 'device', 'device type': 'device', 'devicetype': 'device', 'type': 'device',
+  'asset type': 'device', 'assettype': 'device', 'equipment': 'device', 'category': 'device',
+  
+  // Device Serial No variations
+  'deviceserialno': 'deviceSerialNo', 'device serial no': 'deviceSerialNo', 'device serial': 'deviceSerialNo', 
+  'device_serial': 'deviceSerialNo', 'device serial number': 'deviceSerialNo', 'deviceserialnumber': 'deviceSerialNo',
+  'equipment serial': 'deviceSerialNo', 'equipment serial no': 'deviceSerialNo', 
+  'asset serial': 'deviceSerialNo', 'asset serial no': 'deviceSerialNo',
+  'serial no': 'deviceSerialNo', 'serialno': 'deviceSerialNo', 'product serial': 'deviceSerialNo',
+  'device s.no': 'deviceSerialNo', 'device sno': 'deviceSerialNo',
+  
+  // Operating System variations
+  'operatingsystem': 'operatingSystem', 'operating system': 'operatingSystem', 'os': 'operatingSystem',
+  
+  // Date of Purchase variations
+  'dateofpurchase': 'dateOfPurchase', 'date of purchase': 'dateOfPurchase', 'purchase date': 'dateOfPurchase', 
+  'purchasedate': 'dateOfPurchase', 'purchase_date': 'dateOfPurchase', 'purchased on': 'dateOfPurchase',
+  'date': 'dateOfPurchase', 'bought on': 'dateOfPurchase', 'acquisition date': 'dateOfPurchase',
+  'purchase': 'dateOfPurchase',
+  
+  // Remark variations
+  'remark': 'remark', 'remarks': 'remark', 'notes': 'remark', 'comment': 'remark', 'comments': 'remark',
+  'description': 'remark',
+  
+  // Status variations
+  'status': 'status', 'state': 'status', 'condition': 'status',
+
+  // Warranty variations
+  'warrantystart': 'warrantyStart', 'warranty start': 'warrantyStart', 'warranty start date': 'warrantyStart',
+  'warranty from': 'warrantyStart', 'warranty_start': 'warrantyStart',
+  'warrantyend': 'warrantyEnd', 'warranty end': 'warrantyEnd', 'warranty end date': 'warrantyEnd',
+  'warranty expiry': 'warrantyEnd', 'warranty expiry date': 'warrantyEnd', 'warranty expires': 'warrantyEnd',
+  'warranty till': 'warrantyEnd', 'warranty upto': 'warrantyEnd', 'warranty to': 'warrantyEnd', 'warranty_end': 'warrantyEnd',
+  'warrantyvendor': 'warrantyVendor', 'warranty vendor': 'warrantyVendor', 'warranty provider': 'warrantyVendor',
+  'warranty by': 'warrantyVendor',
+
+  // AMC (annual maintenance contract) variations
+  'amcvendor': 'amcVendor', 'amc vendor': 'amcVendor', 'amc provider': 'amcVendor', 'amc by': 'amcVendor',
+  'amc contract no': 'amcContractNo', 'amc contract number': 'amcContractNo', 'amc contract': 'amcContractNo',
+  'amc no': 'amcContractNo', 'amc number': 'amcContractNo', 'amccontractno': 'amcContractNo',
+  'amcstart': 'amcStart', 'amc start': 'amcStart', 'amc start date': 'amcStart', 'amc from': 'amcStart',
+  'amcend': 'amcEnd', 'amc end': 'amcEnd', 'amc end date': 'amcEnd', 'amc expiry': 'amcEnd',
+  'amc expiry date': 'amcEnd', 'amc till': 'amcEnd', 'amc upto': 'amcEnd', 'amc to': 'amcEnd',
+  'amccost': 'amcCost', 'amc cost': 'amcCost', 'amc amount': 'amcCost', 'amc value': 'amcCost', 'amc charges': 'amcCost',
+
+  // End of life variations
+  'endoflife': 'endOfLife', 'end of life': 'endOfLife', 'eol': 'endOfLife', 'eol date': 'endOfLife',
+  'end of life date': 'endOfLife', 'expected end of life': 'endOfLife', 'retirement date': 'endOfLife',
+  'replacement due': 'endOfLife',
+
+  // Purchase cost and depreciation variations
+  'purchaseprice': 'purchasePrice', 'purchase price': 'purchasePrice', 'purchase cost': 'purchasePrice',
+  'price': 'purchasePrice', 'cost': 'purchasePrice', 'invoice value': 'purchasePrice', 'invoice amount': 'purchasePrice',
+  'currency': 'currency', 'curr': 'currency',
+  'invoicenumber': 'invoiceNumber', 'invoice number': 'invoiceNumber', 'invoice no': 'invoiceNumber',
+  'invoice no.': 'invoiceNumber', 'invoice': 'invoiceNumber', 'bill no': 'invoiceNumber', 'bill number': 'invoiceNumber',
+  'supplier': 'supplier', 'supplier name': 'supplier', 'seller': 'supplier', 'purchased from': 'supplier', 'dealer': 'supplier',
+  'depreciationmethod': 'depreciationMethod', 'depreciation method': 'depreciationMethod', 'dep method': 'depreciationMethod',
+  'usefullifeyears': 'usefulLifeYears', 'useful life years': 'usefulLifeYears', 'useful life': 'usefulLifeYears',
+  'life (years)': 'usefulLifeYears', 'life years': 'usefulLifeYears',
+  'salvagevalue': 'salvageValue', 'salvage value': 'salvageValue', 'residual value': 'salvageValue', 'scrap value': 'salvageValue',
+  'depreciationrate': 'depreciationRate', 'depreciation rate': 'depreciationRate', 'dep rate': 'depreciationRate',
+  'wdv rate': 'depreciationRate', 'depreciation %': 'depreciationRate'
+};
+
+// Export columns in default order: schema field -> human-readable header.
+// Every importable header lowercases to a COLUMN_MAP key, so exported files re-import cleanly.
+// (Computed and bookkeeping columns such as Book Value and Created By are ignored on import.)
+const EXPORT_COLUMNS = {
+  serialNumber: 'Serial Number',
+  companyName: 'Company Name',
+  branch: 'Branch',
+  department: 'Department',
+  userName: 'User Name',
+  brand: 'Brand',
+  device: 'Device',
+  deviceSerialNo: 'Device Serial No',
+  operatingSystem: 'Operating System',
+  dateOfPurchase: 'Date of Purchase',
+  remark: 'Remark',
+  status: 'Status',
+  warrantyStart: 'Warranty Start',
+  warrantyEnd: 'Warranty End',
+  warrantyVendor: 'Warranty Vendor',
+  amcVendor: 'AMC Vendor',
+  amcContractNo: 'AMC Contract No',
+  amcStart: 'AMC Start',
+  amcEnd: 'AMC End',
+  amcCost: 'AMC Cost',
+  endOfLife: 'End of Life',
+  purchasePrice: 'Purchase Price',
+  currency: 'Currency',
+  invoiceNumber: 'Invoice Number',
+  supplier: 'Supplier',
+  depreciationMethod: 'Depreciation Method',
+  usefulLifeYears: 'Useful Life Years',
+  salvageValue: 'Salvage Value',
+  depreciationRate: 'Depreciation Rate',
+  accumulatedDepreciation: 'Accumulated Depreciation', // computed as of the export's asOf date
+  bookValue: 'Book Value', // computed as of the export's asOf date
+  createdBy: 'Created By',
+  createdAt: 'Created At',
+  updatedAt: 'Updated At'
+};
+
+module.exports = { COLUMN_MAP, EXPORT_COLUMNS };
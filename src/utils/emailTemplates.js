@@ -0,0 +1,102 @@
+// HTML (with a plain-text alternative) for notification emails. Each template returns
+// { subject, html, text }; all values are escaped, so asset data can't inject markup.
+const { LABEL_BASE_URL } = require('../config/environment');
+
+// Columns of the asset tables, per digest section
+const SECTION_COLUMNS = {
+  added: { serialNumber: 'Serial Number', device: 'Device', brand: 'Brand', branch: 'Branch', department: 'Department', createdAt: 'Added' },
+  disposed: { serialNumber: 'Serial Number', device: 'Device', brand: 'Brand', branch: 'Branch', disposedAt: 'Disposed' },
+  longMaintenance: { serialNumber: 'Serial Number', device: 'Device', branch: 'Branch', issue: 'Issue', vendor: 'Vendor', openedAt: 'Opened', daysOpen: 'Days Open' },
+  warrantyExpiring: { serialNumber: 'Serial Number', device: 'Device', brand: 'Brand', branch: 'Branch', warrantyEnd: 'Warranty Ends', daysLeft: 'Days Left' }
+};
+const LOST_COLUMNS = { serialNumber: 'Serial Number', device: 'Device', brand: 'Brand', companyName: 'Company', branch: 'Branch', department: 'Department', userName: 'User', previousStatus: 'Was' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Dates as YYYY-MM-DD, everything else as is
+const formatValue = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value ?? '');
+
+// Helper: Page shell with inline styles (mail clients ignore <style> blocks)
+const layout = (title, content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <div style="max-width:760px;margin:0 auto;background:#ffffff;border-radius:6px;padding:24px;">
+    <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+    ${content}
+    <p style="margin:24px 0 0;font-size:12px;color:#7b8794;">Sent by IT Asset Management because of your notification preferences.</p>
+  </div>
+</body>
+</html>`;
+
+// Helper: Asset table; serial numbers link to the asset's scan URL
+const table = (columns, rows) => {
+  const cell = 'padding:6px 8px;border-bottom:1px solid #e4e7eb;text-align:left;font-size:13px;';
+  const head = Object.values(columns).map(label => `<th style="${cell}background:#f0f2f5;">${escapeHtml(label)}</th>`).join('');
+  const body = rows.map(row => `<tr>${Object.keys(columns).map(field => {
+    const value = escapeHtml(formatValue(row[field]));
+    return field === 'serialNumber'
+      ? `<td style="${cell}"><a href="${LABEL_BASE_URL}/s/${encodeURIComponent(row.serialNumber)}" style="color:#1f6feb;">${value}</a></td>`
+      : `<td style="${cell}">${value}</td>`;
+  }).join('')}</tr>`).join('');
+  return `<table style="width:100%;border-collapse:collapse;"><tr>${head}</tr>${body}</table>`;
+};
+
+// Helper: Plain-text version of an asset list
+const textRows = (columns, rows) =>
+  rows.map(row => `  - ${Object.keys(columns).map(f => formatValue(row[f])).filter(v => v !== '').join(' | ')}`).join('\n');
+
+// Helper: "scope" line naming the location filter of a subscription
+const scopeLine = ({ companyName, branch }) => [companyName, branch].filter(Boolean).join(' / ');
+
+// Weekly digest. sections: [{ key, title, total, rows }] (rows may be fewer than total)
+const digest = ({ user, from, to, filter = {}, sections }) => {
+  const period = `${formatValue(from)} to ${formatValue(to)}`;
+  const scope = scopeLine(filter);
+  const title = `Weekly asset digest${scope ? ` - ${scope}` : ''}`;
+
+  const overview = sections.map(s => `<td style="padding:12px;text-align:center;border:1px solid #e4e7eb;">
+      <div style="font-size:24px;font-weight:bold;">${s.total}</div><div style="font-size:12px;color:#52606d;">${escapeHtml(s.title)}</div></td>`).join('');
+  const details = sections.map(s => `
+    <h2 style="margin:24px 0 8px;font-size:16px;">${escapeHtml(s.title)} (${s.total})</h2>
+    ${s.rows.length ? table(SECTION_COLUMNS[s.key], s.rows) : '<p style="font-size:13px;color:#7b8794;">None.</p>'}
+    ${s.total > s.rows.length ? `<p style="font-size:12px;color:#7b8794;">Showing ${s.rows.length} of ${s.total}.</p>` : ''}`).join('');
+
+  const html = layout(title, `
+    <p style="font-size:14px;">Hello ${escapeHtml(user.name)}, here is what changed between ${period}.</p>
+    <table style="width:100%;border-collapse:collapse;"><tr>${overview}</tr></table>
+    ${details}`);
+
+  const text = [
+    title,
+    `Hello ${user.name}, here is what changed between ${period}.`,
+    ...sections.map(s => `\n${s.title}: ${s.total}${s.rows.length ? `\n${textRows(SECTION_COLUMNS[s.key], s.rows)}` : ''}`
+      + (s.total > s.rows.length ? `\n  (showing ${s.rows.length} of ${s.total})` : ''))
+  ].join('\n');
+
+  return { subject: `${title} (${period})`, html, text };
+};
+
+// Immediate alert for assets that were just marked Lost
+const lostAlert = ({ user, assets, actor, source }) => {
+  const what = assets.length === 1 ? `Asset ${assets[0].serialNumber} was` : `${assets.length} assets were`;
+  const by = actor ? ` by ${actor.name || actor.username}` : '';
+  const summary = `${what} marked Lost${by}${source ? ` (${source})` : ''}.`;
+
+  const html = layout('Asset marked Lost', `
+    <p style="font-size:14px;">Hello ${escapeHtml(user.name)},</p>
+    <p style="font-size:14px;">${escapeHtml(summary)}</p>
+    ${table(LOST_COLUMNS, assets)}`);
+  const text = `Hello ${user.name},\n\n${summary}\n\n${textRows(LOST_COLUMNS, assets)}`;
+
+  return { subject: `Lost: ${assets.length === 1 ? assets[0].serialNumber : `${assets.length} assets`}`, html, text };
+};
+
+// Test message confirming the SMTP setup and a user's address
+const testMessage = ({ user }) => ({
+  subject: 'IT Asset Management test email',
+  html: layout('Test email', `<p style="font-size:14px;">Hello ${escapeHtml(user.name)}, email notifications reach this address.</p>`),
+  text: `Hello ${user.name}, email notifications reach this address.`
+});
+
+module.exports = { digest, lostAlert, testMessage };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  JWT_ACCESS_SECRET, JWT_ACCESS_EXPIRES_IN,
+  JWT_REFRESH_SECRET, JWT_REFRESH_EXPIRES_IN
+} = require('../config/environment');
+
+// Sign a short-lived access token carrying the user id and role
+exports.signAccessToken = (user) =>
+  jwt.sign({ sub: String(user._id), role: user.role }, JWT_ACCESS_SECRET, { expiresIn: JWT_ACCESS_EXPIRES_IN });
+
+// Sign a long-lived refresh token; jti keeps every issued token unique
+exports.signRefreshToken = (user) =>
+  jwt.sign({ sub: String(user._id), jti: crypto.randomUUID() }, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRES_IN });
+
+exports.verifyAccessToken = (token) => jwt.verify(token, JWT_ACCESS_SECRET);
+exports.verifyRefreshToken = (token) => jwt.verify(token, JWT_REFRESH_SECRET);
+
+// Refresh tokens are stored hashed so a DB leak doesn't expose live sessions
+exports.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');